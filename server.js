@@ -8,6 +8,9 @@ import cors from 'cors';
 import { createServer } from 'http';
 import { Server as SocketIOServer } from 'socket.io';
 import { createClient } from '@supabase/supabase-js';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
 
 const app = express();
 const httpServer = createServer(app);
@@ -39,6 +42,7 @@ io.on('connection', (socket) => {
     notifyEVIncrease: true,
     notifyEVDrop: true,
     minEVThreshold: 0,
+    minConfidence: 0, // Skip alerts on bets with a lower confidence score
     evChangeThreshold: 2 // Notify when EV changes by more than 2%
   });
 
@@ -58,6 +62,10 @@ io.on('connection', (socket) => {
       bookmakers: [...(cachedData.bookmakers || [])],
       lastUpdated: cachedData.lastUpdated
     });
+    socket.emit('arb-opportunities', {
+      arbs: (cachedData.arbs || []).map(arb => calculateArbStakes(arb, ARB_DEFAULT_STAKE)),
+      lastUpdated: cachedData.lastUpdated
+    });
   });
 
   socket.on('disconnect', () => {
@@ -66,6 +74,14 @@ io.on('connection', (socket) => {
   });
 });
 
+// In-play value bets have their own channel - clients connect to the /live namespace
+const liveNamespace = io.of('/live');
+
+liveNamespace.on('connection', (socket) => {
+  console.log(`[WebSocket] Live client connected: ${socket.id}`);
+  socket.emit('live-update', liveData);
+});
+
 // Store previous EV data for change detection
 let previousEVData = new Map(); // key: fixtureId_selection_bookmaker, value: { ev, odds }
 
@@ -84,6 +100,9 @@ function detectEVChangesAndNotify(matches) {
   for (const match of matches) {
     for (const bet of (match.valueBets || [])) {
       for (const bm of (bet.allBookmakers || [])) {
+        // Suspect (outlier/stale) prices are shown greyed out, never alerted on
+        if (bm.suspect) continue;
+
         const key = `${match.fixtureId}_${bet.selection}_${bm.bookmaker}`;
         const currentData = {
           ev: bm.ev,
@@ -93,7 +112,8 @@ function detectEVChangesAndNotify(matches) {
           bookmaker: bm.bookmaker,
           marketName: bet.marketName,
           kickoff: match.kickoff,
-          fixtureId: match.fixtureId
+          fixtureId: match.fixtureId,
+          confidence: bet.confidence
         };
 
         currentEVData.set(key, currentData);
@@ -167,6 +187,7 @@ function sendNotificationsToClients(notifications) {
       clientNotifications.newPositiveEV = notifications.newPositiveEV.filter(n => {
         if (hasBookmakerFilter && !prefs.selectedBookmakers.includes(n.bookmaker)) return false;
         if (n.ev < prefs.minEVThreshold) return false;
+        if (n.confidence < (prefs.minConfidence || 0)) return false;
         return true;
       });
     }
@@ -175,6 +196,7 @@ function sendNotificationsToClients(notifications) {
       clientNotifications.evIncreased = notifications.evIncreased.filter(n => {
         if (hasBookmakerFilter && !prefs.selectedBookmakers.includes(n.bookmaker)) return false;
         if (Math.abs(n.change) < prefs.evChangeThreshold) return false;
+        if (n.confidence < (prefs.minConfidence || 0)) return false;
         return true;
       });
     }
@@ -257,11 +279,35 @@ if (!SUPABASE_URL || !SUPABASE_KEY) {
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
 
+const SUPABASE_PAGE_SIZE = 1000; // Rows Supabase returns per request at most
+
+// Every row of a query, paged past the row limit. `buildQuery` returns a fresh
+// query per page and must order it by a unique key so pages don't overlap.
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += SUPABASE_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(offset, offset + SUPABASE_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < SUPABASE_PAGE_SIZE) return rows;
+  }
+}
+
 // Snapshot settings
 const SNAPSHOT_INTERVAL = 5 * 60 * 1000; // 5 minutes (for testing - change to 20 for production)
 const MIN_EV_FOR_SNAPSHOT = 3; // Only snapshot bets with EV >= 3%
 const HOURS_BEFORE_KICKOFF = 48; // Only track bets within 48h of kickoff
 
+// Closing line capture for tracked bets - the last price seen before kickoff wins
+const CLOSING_LINE_INTERVAL = 60 * 1000; // 1 minute
+const CLOSING_LINE_WINDOW = 10 * 60 * 1000; // Capture from 10 min before kickoff
+
+// Automatic settlement of tracked bets from final scores
+const SETTLEMENT_INTERVAL = 15 * 60 * 1000; // 15 minutes
+const SETTLEMENT_DELAY = 2 * 60 * 60 * 1000; // Start checking 2h after kickoff
+const SETTLEMENT_REVIEW_AFTER = 48 * 60 * 60 * 1000; // Flag bets still without a final score
+
 // ============ CONFIGURATION ============
 
 // Validate LSports credentials
@@ -277,6 +323,40 @@ const LSPORTS_CREDS = {
 };
 
 const LSPORTS_API_BASE = 'https://stm-snapshot.lsports.eu';
+const LSPORTS_METADATA_BASE = 'https://stm-api.lsports.eu';
+const ODDSERVICE_API_BASE = 'https://prematch.lsports.eu/OddService';
+
+// `node server.js --replay <session dir>` re-runs the EV pipeline against a
+// recorded session and diffs the output instead of starting the server
+const REPLAY_COMMAND_DIR = process.argv.includes('--replay')
+  ? process.argv[process.argv.indexOf('--replay') + 1]
+  : null;
+
+// Without a directory the live server would start instead of a replay
+if (process.argv.includes('--replay') && !REPLAY_COMMAND_DIR) {
+  console.error('Usage: node server.js --replay <session dir>  (npm run replay -- <session dir>)');
+  process.exit(1);
+}
+
+// Odds source: lsports (STM snapshot), oddservice, or replay (recorded JSON in REPLAY_DIR)
+const ODDS_PROVIDER = REPLAY_COMMAND_DIR ? 'replay' : (process.env.ODDS_PROVIDER || 'lsports');
+const REPLAY_DIR = REPLAY_COMMAND_DIR || process.env.REPLAY_DIR;
+
+// Opt-in capture of every raw odds response plus the computed matches, so a
+// suspicious EV number can be reproduced later with --replay
+const RECORD_RESPONSES = process.env.RECORD_RESPONSES === 'true';
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || './recordings';
+
+// GetFixtureMarkets batching - fixtures per request, and rate-limit slots kept
+// free for fixtures/scores/manual calls
+const MARKETS_BATCH_SIZE = 50;
+const RATE_LIMIT_RESERVE = 2;
+
+// Fixtures per scores request (settlement and sharpness scoring)
+const SCORES_BATCH_SIZE = 100;
+
+// Each league tier below the top counts as this many hours further from kickoff
+const TIER_PRIORITY_HOURS = 12;
 
 // Target markets for EV calculation
 const LSPORTS_TARGET_MARKETS = {
@@ -305,7 +385,7 @@ const LSPORTS_TARGET_MARKETS = {
   1234: { name: "1X2 Shots on Target", category: "Shots" },
 
   // Player Shots
-  2351: { name: "Player Shots On Target", category: "Player Shots", isPlayerProp: true },
+  2351: { name: "Player Shots On Target", category: "Player Shots", isPlayerProp: true, playerLines: true },
 
   // Cards (Team level)
   158: { name: "U/O Yellow Cards", category: "Cards" },
@@ -332,10 +412,10 @@ const LSPORTS_TARGET_MARKETS = {
 
   // Asian Markets
   3: { name: "Asian Handicap", category: "Asian" },
-  64: { name: "Asian Handicap 1st Period", category: "Asian" },
-  65: { name: "Asian Handicap 2nd Period", category: "Asian" },
+  64: { name: "Asian Handicap 1st Period", category: "Asian", period: 1 },
+  65: { name: "Asian Handicap 2nd Period", category: "Asian", period: 2 },
   835: { name: "Asian U/O", category: "Asian" },
-  836: { name: "Asian U/O 1st Period", category: "Asian" },
+  836: { name: "Asian U/O 1st Period", category: "Asian", period: 1 },
 
   // Corners
   11: { name: "Total Corners", category: "Corners" },
@@ -343,45 +423,363 @@ const LSPORTS_TARGET_MARKETS = {
   31: { name: "U/O Corners - Away", category: "Corners" },
   95: { name: "Corners Handicap", category: "Corners" },
   409: { name: "1X2 Corners", category: "Corners" },
-  129: { name: "U/O Corners 1st Half", category: "Corners" },
+  129: { name: "U/O Corners 1st Half", category: "Corners", period: 1 },
   1552: { name: "Asian U/O Corners", category: "Corners" },
 
   // Goals
   2: { name: "U/O Goals", category: "Goals" },
-  5: { name: "U/O Goals 1st Half", category: "Goals" },
+  5: { name: "U/O Goals 1st Half", category: "Goals", period: 1 },
   77: { name: "BTTS", category: "Goals" },
 };
 
+// Basketball markets - all quoted including overtime
+const LSPORTS_BASKETBALL_MARKETS = {
+  // Main
+  226: { name: "Moneyline", category: "Main" },
+  342: { name: "Spread", category: "Main" },
+  28: { name: "Total Points", category: "Main" },
+
+  // Player props - one over/under line per player
+  2057: { name: "Player Points", category: "Player Points", isPlayerProp: true, playerLines: true },
+  2058: { name: "Player Rebounds", category: "Player Rebounds", isPlayerProp: true, playerLines: true },
+  2059: { name: "Player Assists", category: "Player Assists", isPlayerProp: true, playerLines: true },
+};
+
+// Supported sports. `playerLines` markets quote an over/under line per player,
+// so the player name is part of the selection and of its outcome set.
+const SPORTS = {
+  football: {
+    id: 6046, name: 'Football', emoji: '⚽', defaultMarkets: LSPORTS_TARGET_MARKETS,
+    // In-play: a market for period N stays open while the scoreboard is in one of
+    // these LSports period codes (10 = 1st half, 80 = half-time, 20 = 2nd half)
+    openPeriods: { 1: [10], 2: [10, 80, 20] }
+  },
+  basketball: { id: 48242, name: 'Basketball', emoji: '🏀', defaultMarkets: LSPORTS_BASKETBALL_MARKETS },
+};
+
+function getSportKey(sportId) {
+  return Object.keys(SPORTS).find(key => SPORTS[key].id === sportId) || null;
+}
+
 // Available leagues
 const LSPORTS_LEAGUES = {
   // England
-  67: { name: 'Premier League', country: 'England', emoji: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', tier: 1 },
-  58: { name: 'Championship', country: 'England', emoji: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', tier: 2 },
-  68: { name: 'League One', country: 'England', emoji: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', tier: 3 },
-  70: { name: 'League Two', country: 'England', emoji: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', tier: 4 },
+  67: { name: 'Premier League', country: 'England', emoji: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', tier: 1, sport: 'football' },
+  58: { name: 'Championship', country: 'England', emoji: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', tier: 2, sport: 'football' },
+  68: { name: 'League One', country: 'England', emoji: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', tier: 3, sport: 'football' },
+  70: { name: 'League Two', country: 'England', emoji: '🏴󠁧󠁢󠁥󠁮󠁧󠁿', tier: 4, sport: 'football' },
   // Spain
-  8363: { name: 'LaLiga', country: 'Spain', emoji: '🇪🇸', tier: 1 },
-  22263: { name: 'LaLiga2', country: 'Spain', emoji: '🇪🇸', tier: 2 },
+  8363: { name: 'LaLiga', country: 'Spain', emoji: '🇪🇸', tier: 1, sport: 'football' },
+  22263: { name: 'LaLiga2', country: 'Spain', emoji: '🇪🇸', tier: 2, sport: 'football' },
   // Germany
-  65: { name: 'Bundesliga', country: 'Germany', emoji: '🇩🇪', tier: 1 },
-  66: { name: '2.Bundesliga', country: 'Germany', emoji: '🇩🇪', tier: 2 },
+  65: { name: 'Bundesliga', country: 'Germany', emoji: '🇩🇪', tier: 1, sport: 'football' },
+  66: { name: '2.Bundesliga', country: 'Germany', emoji: '🇩🇪', tier: 2, sport: 'football' },
   // Italy
-  4: { name: 'Serie A', country: 'Italy', emoji: '🇮🇹', tier: 1 },
-  8: { name: 'Serie B', country: 'Italy', emoji: '🇮🇹', tier: 2 },
+  4: { name: 'Serie A', country: 'Italy', emoji: '🇮🇹', tier: 1, sport: 'football' },
+  8: { name: 'Serie B', country: 'Italy', emoji: '🇮🇹', tier: 2, sport: 'football' },
   // France
-  61: { name: 'Ligue 1', country: 'France', emoji: '🇫🇷', tier: 1 },
-  60: { name: 'Ligue 2', country: 'France', emoji: '🇫🇷', tier: 2 },
+  61: { name: 'Ligue 1', country: 'France', emoji: '🇫🇷', tier: 1, sport: 'football' },
+  60: { name: 'Ligue 2', country: 'France', emoji: '🇫🇷', tier: 2, sport: 'football' },
   // Other top leagues
-  2944: { name: 'Eredivisie', country: 'Netherlands', emoji: '🇳🇱', tier: 1 },
-  6603: { name: 'Primeira Liga', country: 'Portugal', emoji: '🇵🇹', tier: 1 },
-  63: { name: 'Super Lig', country: 'Turkey', emoji: '🇹🇷', tier: 1 },
-  30058: { name: 'Premiership', country: 'Scotland', emoji: '🏴󠁧󠁢󠁳󠁣󠁴󠁿', tier: 1 },
-  59: { name: 'Jupiler League', country: 'Belgium', emoji: '🇧🇪', tier: 1 },
-  32521: { name: 'Ekstraklasa', country: 'Poland', emoji: '🇵🇱', tier: 1 },
+  2944: { name: 'Eredivisie', country: 'Netherlands', emoji: '🇳🇱', tier: 1, sport: 'football' },
+  6603: { name: 'Primeira Liga', country: 'Portugal', emoji: '🇵🇹', tier: 1, sport: 'football' },
+  63: { name: 'Super Lig', country: 'Turkey', emoji: '🇹🇷', tier: 1, sport: 'football' },
+  30058: { name: 'Premiership', country: 'Scotland', emoji: '🏴󠁧󠁢󠁳󠁣󠁴󠁿', tier: 1, sport: 'football' },
+  59: { name: 'Jupiler League', country: 'Belgium', emoji: '🇧🇪', tier: 1, sport: 'football' },
+  32521: { name: 'Ekstraklasa', country: 'Poland', emoji: '🇵🇱', tier: 1, sport: 'football' },
   // European competitions
-  32644: { name: 'Champions League', country: 'Europe', emoji: '🏆', tier: 1 },
-  30444: { name: 'Europa League', country: 'Europe', emoji: '🌟', tier: 2 },
-  45863: { name: 'Conference League', country: 'Europe', emoji: '🏅', tier: 3 },
+  32644: { name: 'Champions League', country: 'Europe', emoji: '🏆', tier: 1, sport: 'football' },
+  30444: { name: 'Europa League', country: 'Europe', emoji: '🌟', tier: 2, sport: 'football' },
+  45863: { name: 'Conference League', country: 'Europe', emoji: '🏅', tier: 3, sport: 'football' },
+  // Basketball
+  64: { name: 'NBA', country: 'USA', emoji: '🏀', tier: 1, sport: 'basketball' },
+};
+
+// Runtime league and market configuration. The constants above are only the
+// defaults: the store is loaded from Supabase at startup (config_leagues and
+// config_markets, see setup-config.sql) and edited via /api/admin/leagues and
+// /api/admin/markets. Refreshes read it every cycle, so edits apply on the next one.
+const configStore = {
+  leagues: {},  // leagueId -> { name, country, emoji, tier, sport, enabled }
+  markets: {},  // sport -> { marketId -> { name, category, isPlayerProp, playerLines, period, enabled } }
+  source: 'defaults'
+};
+
+const LEAGUE_CONFIG_FIELDS = ['name', 'country', 'emoji', 'tier', 'sport', 'enabled'];
+const MARKET_CONFIG_FIELDS = ['name', 'category', 'isPlayerProp', 'playerLines', 'period', 'enabled'];
+
+function toLeagueConfig(config) {
+  const sport = config.sport || 'football';
+  return {
+    name: config.name,
+    country: config.country || 'Unknown',
+    emoji: config.emoji || SPORTS[sport]?.emoji || '',
+    tier: config.tier ?? 1,
+    sport,
+    enabled: config.enabled ?? true
+  };
+}
+
+function toMarketConfig(config) {
+  return {
+    name: config.name,
+    category: config.category,
+    isPlayerProp: config.isPlayerProp || false,
+    playerLines: config.playerLines || false,
+    period: config.period ?? null,
+    enabled: config.enabled ?? true
+  };
+}
+
+function resetConfigStore() {
+  configStore.leagues = Object.fromEntries(Object.entries(LSPORTS_LEAGUES)
+    .map(([id, config]) => [id, toLeagueConfig(config)]));
+  configStore.markets = Object.fromEntries(Object.entries(SPORTS).map(([sport, { defaultMarkets }]) => [
+    sport,
+    Object.fromEntries(Object.entries(defaultMarkets).map(([id, config]) => [id, toMarketConfig(config)]))
+  ]));
+  configStore.source = 'defaults';
+}
+
+resetConfigStore();
+
+function getLeagueConfig(leagueId) {
+  return configStore.leagues[leagueId] || null;
+}
+
+// Leagues refreshed when no explicit list is given
+function getEnabledLeagueIds() {
+  return Object.entries(configStore.leagues)
+    .filter(([, config]) => config.enabled)
+    .map(([id]) => parseInt(id));
+}
+
+// Config of an enabled market, null for unknown or disabled ones
+function getMarketConfig(sport, marketId) {
+  const config = configStore.markets[sport]?.[marketId];
+  return config?.enabled ? config : null;
+}
+
+// Every enabled market ID we request, across all sports
+function getAllTargetMarketIds() {
+  const ids = new Set();
+  for (const markets of Object.values(configStore.markets)) {
+    Object.entries(markets)
+      .filter(([, config]) => config.enabled)
+      .forEach(([id]) => ids.add(parseInt(id)));
+  }
+  return [...ids];
+}
+
+// De-vig method used to strip bookmaker margin, selectable per market category.
+// 'none' keeps raw implied probabilities - used where the outcomes of a market
+// are not mutually exclusive (several players can score / be booked).
+const DEVIG_METHODS = ['multiplicative', 'additive', 'power', 'shin', 'none'];
+
+let devigSettings = {
+  defaultMethod: DEVIG_METHODS.includes(process.env.DEVIG_METHOD) ? process.env.DEVIG_METHOD : 'multiplicative',
+  byCategory: {
+    'Main': 'shin',
+    'Player Goals': 'none',
+    'Player Cards': 'none'
+  }
+};
+
+function getDevigMethod(category) {
+  return devigSettings.byCategory[category] || devigSettings.defaultMethod;
+}
+
+// Bookmaker weighting profile for the fair-probability consensus.
+// Sharp books anchor the fair line; when none of them quote a selection the
+// consensus falls back to the plain median of every bookmaker.
+let bookmakerWeightProfile = {
+  sharpBooks: ['Pinnacle'],
+  sharpWeight: 5,
+  defaultWeight: 1,
+  weights: {}, // Per-bookmaker overrides, e.g. from historical accuracy
+  useSharpnessScores: false // Weight books by their scored accuracy (see /api/analytics/sharpness)
+};
+
+// Bookmaker alias registry: raw provider names -> canonical bookmaker, with the
+// region and licence of that variant. Persisted in bookmaker_aliases (see
+// setup-bookmaker-aliases.sql) and edited via /api/admin/bookmaker-aliases.
+// 'exact' aliases win over 'prefix' / 'contains' rules, longest rule first.
+const BOOKMAKER_MATCH_TYPES = ['exact', 'prefix', 'contains'];
+const DEFAULT_BOOKMAKER_ALIASES = [
+  { alias: 'unibet', matchType: 'prefix', canonical: 'Unibet' },   // Unibet.fr, Unibet.de, ...
+  { alias: 'bet365', matchType: 'prefix', canonical: 'Bet365' },
+  { alias: '1xbet', matchType: 'contains', canonical: '1XBet' },
+  { alias: 'betway', matchType: 'prefix', canonical: 'BetWay' }
+];
+
+const bookmakerRegistry = {
+  aliases: new Map(), // lowercased alias -> { alias, matchType, canonical, region, licence }
+  unknown: new Map(), // raw name -> { firstSeen, lastSeen, count } - names no alias matches
+  source: 'defaults'
+};
+
+// Regional variants (Unibet.fr / Unibet.de) count as one bookmaker when merged;
+// kept separate they show as "Canonical (REGION)", or the raw name without a region
+let bookmakerSettings = {
+  mergeRegionalVariants: process.env.MERGE_REGIONAL_VARIANTS !== 'false'
+};
+
+// Outlier and stale-price rejection per selection. Flagged prices are kept in
+// allBookmakers as `suspect` but excluded from the consensus and best price.
+const PRICE_FILTER_SETTINGS = {
+  method: process.env.OUTLIER_METHOD === 'iqr' ? 'iqr' : 'mad',
+  madThreshold: 3.5,            // Modified z-score above which a price is an outlier
+  iqrMultiplier: 1.5,           // Tukey fences: outside Q1 - k*IQR .. Q3 + k*IQR
+  minPricesForOutliers: 4,      // Too few prices to say what "normal" is
+  minOutlierDeviation: 0.1,     // Must also be 10%+ away from the median implied probability
+  staleAfterMs: 30 * 60 * 1000  // Not updated for 30 min while other books have
+};
+
+// Markets checked for arbitrage, with the number of outcomes in a complete book
+const ARB_MARKETS = {
+  1: 3,    // Match Winner (1X2)
+  2: 2,    // U/O Goals
+  5: 2,    // U/O Goals 1st Half
+  77: 2,   // BTTS
+  3: 2,    // Asian Handicap
+  64: 2,   // Asian Handicap 1st Period
+  65: 2,   // Asian Handicap 2nd Period
+  835: 2,  // Asian U/O
+  836: 2,  // Asian U/O 1st Period
+  226: 2,  // Basketball Moneyline
+  342: 2,  // Basketball Spread
+  28: 2    // Basketball Total Points
+};
+const ARB_DEFAULT_STAKE = 100;
+
+// Line markets checked for middles: 'totals' pairs Over at a low line with Under
+// at a higher line, 'handicap' pairs home and away handicaps that overlap
+const MIDDLE_MARKETS = {
+  2: 'totals',     // U/O Goals
+  835: 'totals',   // Asian U/O
+  11: 'totals',    // Total Corners
+  3: 'handicap',   // Asian Handicap
+  28: 'totals',    // Basketball Total Points
+  342: 'handicap'  // Basketball Spread
+};
+const MIDDLE_MIN_EV = -3; // Keep slightly -EV middles - the window is the upside
+
+// Stake sizing - fractional Kelly on the bankroll, with optional caps.
+// categoryCaps / maxStakePct are % of bankroll, maxStake is an absolute amount.
+let stakingSettings = {
+  bankroll: parseFloat(process.env.BANKROLL || '1000'),
+  unitSize: parseFloat(process.env.UNIT_SIZE || '10'),
+  kellyMultiplier: 0.25,
+  maxStakePct: 5,
+  maxStake: null,
+  categoryCaps: {}
+};
+
+// Bankroll ledger transaction types (see setup-bankroll.sql). Stakes and
+// settlements are written by bet tracking, the rest are entered by hand.
+const BANKROLL_TRANSACTION_TYPES = ['deposit', 'withdrawal', 'bet_stake', 'settlement', 'bonus', 'adjustment'];
+const BANKROLL_MANUAL_TYPES = ['deposit', 'withdrawal', 'bonus', 'adjustment'];
+
+// Confidence score (0-100) per value bet - weights of each factor
+const CONFIDENCE_WEIGHTS = {
+  bookmakers: 0.25,  // Number of trusted books quoting
+  dispersion: 0.2,   // How tightly those books agree
+  sharpBooks: 0.15,  // A sharp book is part of the consensus
+  freshness: 0.15,   // Age of the best price
+  kickoff: 0.1,      // Lines firm up closer to kickoff
+  liquidity: 0.15    // Main markets > team specials > player props
+};
+const MAIN_LIQUIDITY_CATEGORIES = ['Main', 'Goals', 'Asian'];
+
+// In-play (live) mode - in-play fixtures are evaluated on their own, shorter cycle
+const LIVE_MODE_ENABLED = process.env.LIVE_MODE === 'true';
+// Every in-play call shares the LSports rate limit with the prematch refresh,
+// so a tick is skipped when the refresh can't spare the request
+const LIVE_REFRESH_INTERVAL = 20 * 1000; // 20 seconds
+
+const LIVE_SETTINGS = {
+  staleAfterMs: 30 * 1000,            // In-play prices go stale within seconds
+  scoreChangeCooldownMs: 60 * 1000,   // Books lag a goal - suspend everything meanwhile
+  inPlayStatus: 2,                    // Fixture/Scoreboard status: in progress
+  endedStatuses: [3, 4, 5, 7],        // Finished, cancelled, postponed, abandoned
+  // LSports danger indicators: type 1 (general) suspends every market,
+  // the others only the categories they affect. Status 2 = danger.
+  dangerStatus: 2,
+  dangerCategories: {
+    2: ['Cards', 'Player Cards'],
+    3: ['Corners']
+  }
+};
+
+// Discovery of leagues and markets missing from the config. Market requests are
+// filtered to configured markets, so an unfiltered sample of a few fixtures
+// (one per league, unconfigured leagues first) is fetched now and then.
+const DISCOVERY_SAMPLE_INTERVAL = 30 * 60 * 1000; // 30 minutes
+const DISCOVERY_SAMPLE_FIXTURES = 10;
+const DISCOVERY_MAX_SAMPLES = 5; // Sample fixtures / selections kept per item
+
+// Bookmaker analytics - positioning against the market is sampled into hourly
+// buckets per league and bookmaker, kept for the retention period (see
+// setup-bookmaker-analytics.sql)
+const ANALYTICS_SAMPLE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const ANALYTICS_RETENTION_HOURS = 7 * 24;
+const ANALYTICS_EV_BUCKETS = [-10, -5, -2, 0, 2, 5]; // Edges (%) of the price-vs-fair histogram
+
+// Provider catalog (GetProviders) resync - the list rarely changes
+const PROVIDER_SYNC_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+
+// LSports Livescore statistic types used for settlement
+const LIVESCORE_STATS = {
+  corners: 1,
+  yellowCards: 6,
+  redCards: 7
+};
+
+// Markets that settle on the score (or match statistics) alone. `period` is the
+// LSports period type the market settles on (10 = 1st half, 20 = 2nd half),
+// otherwise full time. `stats` counts those statistics instead of goals/points,
+// `team` restricts a total to one side.
+const SCORE_SETTLED_MARKETS = {
+  1: { type: '1x2' },
+  226: { type: '1x2' },
+  2: { type: 'totals' },
+  5: { type: 'totals', period: 10 },
+  28: { type: 'totals' },
+  835: { type: 'totals' },
+  836: { type: 'totals', period: 10 },
+  3: { type: 'handicap' },
+  64: { type: 'handicap', period: 10 },
+  65: { type: 'handicap', period: 20 },
+  342: { type: 'handicap' },
+  77: { type: 'btts' },
+
+  // Corners
+  11: { type: 'totals', stats: [LIVESCORE_STATS.corners] },
+  30: { type: 'totals', stats: [LIVESCORE_STATS.corners], team: 'home' },
+  31: { type: 'totals', stats: [LIVESCORE_STATS.corners], team: 'away' },
+  95: { type: 'handicap', stats: [LIVESCORE_STATS.corners] },
+  409: { type: '1x2', stats: [LIVESCORE_STATS.corners] },
+  129: { type: 'totals', stats: [LIVESCORE_STATS.corners], period: 10 },
+  1552: { type: 'totals', stats: [LIVESCORE_STATS.corners] },
+
+  // Cards
+  158: { type: 'totals', stats: [LIVESCORE_STATS.yellowCards] },
+  181: { type: 'totals', stats: [LIVESCORE_STATS.yellowCards], team: 'home' },
+  184: { type: 'totals', stats: [LIVESCORE_STATS.yellowCards], team: 'away' },
+  214: { type: 'totals', stats: [LIVESCORE_STATS.yellowCards, LIVESCORE_STATS.redCards] }
+};
+
+// Bookmaker sharpness - every book's de-vigged price on score-settled markets is
+// snapshotted before kickoff, then scored against the results and move timing
+const BOOK_PRICE_SNAPSHOT_INTERVAL = 15 * 60 * 1000; // 15 minutes
+const BOOK_PRICE_SNAPSHOT_HOURS = 24; // Only fixtures kicking off within 24h
+const SHARPNESS_JOB_INTERVAL = 24 * 60 * 60 * 1000; // Daily
+const SHARPNESS_SETTINGS = {
+  lookbackDays: 30,
+  minSamples: 50, // Settled selections a book needs before it gets a weight
+  moveThreshold: 1, // Consensus move (probability points) that counts as a line move
+  weightScale: 20, // weight = defaultWeight * e^(scale * log-loss edge vs the median book)
+  minWeight: 0.2
 };
 
 // ============ HELPER FUNCTIONS ============
@@ -400,21 +798,590 @@ function calculateMedian(numbers) {
     : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
-// Normalize bookmaker names to consolidate regional variants
-function normalizeBookmaker(name) {
+function calculateQuantile(numbers, q) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const next = sorted[base + 1] ?? sorted[base];
+  return sorted[base] + (pos - base) * (next - sorted[base]);
+}
+
+// Label mispriced and stale prices of one selection as suspect.
+// Outliers are measured on implied probability so longshot prices are not
+// flagged just for being numerically far apart.
+function flagSuspectPrices(odds, staleAfterMs = PRICE_FILTER_SETTINGS.staleAfterMs) {
+  const flagged = odds.map(o => ({ ...o, suspect: false, suspectReason: null }));
+
+  // Stale: last update lags the freshest price of this selection
+  const updateTimes = flagged.map(o => o.lastUpdate ? new Date(o.lastUpdate).getTime() : null);
+  const freshest = Math.max(...updateTimes.filter(t => t !== null && !isNaN(t)));
+  flagged.forEach((o, i) => {
+    const t = updateTimes[i];
+    if (t !== null && !isNaN(t) && freshest - t > staleAfterMs) {
+      o.suspect = true;
+      const lag = freshest - t;
+      o.suspectReason = `stale: last update ${lag < 60000 ? `${Math.round(lag / 1000)}s` : `${Math.round(lag / 60000)} min`} behind other books`;
+    }
+  });
+
+  const candidates = flagged.filter(o => !o.suspect);
+  if (candidates.length < PRICE_FILTER_SETTINGS.minPricesForOutliers) return flagged;
+
+  const probs = candidates.map(o => 1 / o.price);
+  const median = calculateMedian(probs);
+  const isFarFromMedian = prob => Math.abs(prob - median) / median >= PRICE_FILTER_SETTINGS.minOutlierDeviation;
+
+  if (PRICE_FILTER_SETTINGS.method === 'iqr') {
+    const q1 = calculateQuantile(probs, 0.25);
+    const q3 = calculateQuantile(probs, 0.75);
+    const fence = (q3 - q1) * PRICE_FILTER_SETTINGS.iqrMultiplier;
+    if (fence === 0) return flagged;
+
+    for (const o of candidates) {
+      const prob = 1 / o.price;
+      if ((prob < q1 - fence || prob > q3 + fence) && isFarFromMedian(prob)) {
+        o.suspect = true;
+        o.suspectReason = `outlier: price ${o.price} outside IQR fences (median ${(1 / median).toFixed(2)})`;
+      }
+    }
+    return flagged;
+  }
+
+  // MAD; fall back to mean absolute deviation when most books agree exactly
+  const deviations = probs.map(p => Math.abs(p - median));
+  const mad = calculateMedian(deviations);
+  const scale = mad > 0
+    ? mad / 0.6745
+    : 1.2533 * deviations.reduce((sum, d) => sum + d, 0) / deviations.length;
+  if (scale === 0) return flagged;
+
+  for (const o of candidates) {
+    const z = Math.abs(1 / o.price - median) / scale;
+    if (z > PRICE_FILTER_SETTINGS.madThreshold && isFarFromMedian(1 / o.price)) {
+      o.suspect = true;
+      o.suspectReason = `outlier: price ${o.price} vs median ${(1 / median).toFixed(2)} (z=${z.toFixed(1)})`;
+    }
+  }
+  return flagged;
+}
+
+// Fractional Kelly stake for a bet at `odds` with fair probability `fairProb` (0-1)
+function calculateKellyStake(fairProb, odds, category) {
+  const { bankroll, unitSize, kellyMultiplier, maxStakePct, maxStake, categoryCaps } = stakingSettings;
+
+  // Full Kelly: f* = (p * o - 1) / (o - 1)
+  const fullKelly = fairProb && odds > 1 ? (fairProb * odds - 1) / (odds - 1) : 0;
+  let fraction = Math.max(0, fullKelly) * kellyMultiplier;
+
+  const capPct = Math.min(maxStakePct ?? Infinity, categoryCaps[category] ?? Infinity);
+  fraction = Math.min(fraction, capPct / 100);
+
+  let stake = fraction * bankroll;
+  if (maxStake) stake = Math.min(stake, maxStake);
+
+  return {
+    kellyFraction: parseFloat((bankroll > 0 ? stake / bankroll : 0).toFixed(4)),
+    recommendedUnits: parseFloat((unitSize > 0 ? stake / unitSize : 0).toFixed(2)),
+    recommendedStake: parseFloat(stake.toFixed(2))
+  };
+}
+
+// Win probability Kelly sizes on. Quarter lines settle as two half-stake bets,
+// so they size on the probability that gives their EV at this price.
+function getKellyProbability({ fairProb, odds, ev, quarterLine }) {
+  if (quarterLine && ev !== null && ev !== undefined && odds > 1) return (ev / 100 + 1) / odds;
+  return fairProb;
+}
+
+// Composite confidence in a value bet. Each factor is scored 0-1 and weighted
+// by CONFIDENCE_WEIGHTS; factors are returned so the UI can explain the score.
+function calculateConfidence({ cleanOdds, hasSharpBook, bestPrice, kickoff, marketConfig, now }) {
+  const probs = cleanOdds.map(o => 1 / o.price);
+  const mean = probs.reduce((sum, p) => sum + p, 0) / probs.length;
+  const stdDev = Math.sqrt(probs.reduce((sum, p) => sum + (p - mean) ** 2, 0) / probs.length);
+  const coefficientOfVariation = mean > 0 ? stdDev / mean : 1;
+
+  const priceAgeMs = bestPrice?.lastUpdate ? now - new Date(bestPrice.lastUpdate) : null;
+  const hoursToKickoff = (new Date(kickoff) - now) / 3600000;
+
+  const factors = {
+    bookmakers: Math.min(1, cleanOdds.length / 10),
+    dispersion: Math.max(0, 1 - coefficientOfVariation / 0.1),
+    sharpBooks: hasSharpBook ? 1 : 0,
+    // Unknown age scores neutral; otherwise full marks under 5 min, zero once stale
+    freshness: priceAgeMs === null || isNaN(priceAgeMs)
+      ? 0.5
+      : Math.max(0, Math.min(1, 1 - (priceAgeMs - 5 * 60000) / PRICE_FILTER_SETTINGS.staleAfterMs)),
+    kickoff: hoursToKickoff <= 6 ? 1 : Math.max(0.3, 1 - (hoursToKickoff - 6) / 66 * 0.7),
+    liquidity: marketConfig.isPlayerProp ? 0.3 : MAIN_LIQUIDITY_CATEGORIES.includes(marketConfig.category) ? 1 : 0.6
+  };
+
+  const score = Object.entries(CONFIDENCE_WEIGHTS)
+    .reduce((sum, [factor, weight]) => sum + factors[factor] * weight, 0);
+
+  return {
+    confidence: Math.round(score * 100),
+    confidenceFactors: Object.fromEntries(
+      Object.entries(factors).map(([factor, value]) => [factor, parseFloat(value.toFixed(2))])
+    )
+  };
+}
+
+// Find x in [lo, hi] where fn(x) = 0 (fn must change sign over the interval)
+function solveBisection(fn, lo, hi, iterations = 100) {
+  let fLo = fn(lo);
+  if (fLo * fn(hi) > 0) return null;
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = fn(mid);
+    if (Math.abs(fMid) < 1e-12) return mid;
+    if (fLo * fMid < 0) {
+      hi = mid;
+    } else {
+      lo = mid;
+      fLo = fMid;
+    }
+  }
+  return (lo + hi) / 2;
+}
+
+// Remove the bookmaker margin from one complete set of outcome prices.
+// Returns fair probabilities in the same order as the prices.
+function devigProbabilities(prices, method = 'multiplicative') {
+  const implied = prices.map(p => 1 / p);
+  const booksum = implied.reduce((sum, q) => sum + q, 0);
+  const multiplicative = implied.map(q => q / booksum);
+
+  if (method === 'none' || implied.length < 2) return implied;
+
+  switch (method) {
+    case 'additive': {
+      // Subtract an equal share of the overround from every outcome
+      const share = (booksum - 1) / implied.length;
+      const probs = implied.map(q => q - share);
+      return probs.every(p => p > 0) ? probs : multiplicative;
+    }
+    case 'power': {
+      // Find k so that sum(q^k) = 1 - shrinks longshots more than favourites
+      const k = solveBisection(x => implied.reduce((sum, q) => sum + Math.pow(q, x), 0) - 1, 0.01, 100);
+      return k === null ? multiplicative : implied.map(q => Math.pow(q, k));
+    }
+    case 'shin': {
+      // Shin (1993): margin comes from insider trading share z
+      if (booksum <= 1) return multiplicative;
+      const shinProbs = z => implied.map(q =>
+        (Math.sqrt(z * z + 4 * (1 - z) * q * q / booksum) - z) / (2 * (1 - z))
+      );
+      const z = solveBisection(x => shinProbs(x).reduce((sum, p) => sum + p, 0) - 1, 0, 0.999);
+      if (z === null) return multiplicative;
+      const probs = shinProbs(z);
+      const total = probs.reduce((sum, p) => sum + p, 0);
+      return probs.map(p => p / total);
+    }
+    default:
+      return multiplicative;
+  }
+}
+
+// Group selections into outcome sets (all outcomes of one market line) with
+// each bookmaker's non-suspect prices: { outcomeSet: { keys, books: { bookmaker: { key: price } } } }.
+// Merged regional variants share a name - the best of their prices is kept.
+function groupOutcomeSets(selectionGroups) {
+  const outcomeSets = {};
+
+  for (const [key, selection] of Object.entries(selectionGroups)) {
+    if (!outcomeSets[selection.outcomeSet]) {
+      outcomeSets[selection.outcomeSet] = { keys: new Set(), books: {} };
+    }
+    const set = outcomeSets[selection.outcomeSet];
+    set.keys.add(key);
+
+    for (const o of selection.odds) {
+      if (o.suspect) continue;
+      if (!set.books[o.bookmaker]) set.books[o.bookmaker] = {};
+      set.books[o.bookmaker][key] = Math.max(set.books[o.bookmaker][key] || 0, o.price);
+    }
+  }
+
+  return outcomeSets;
+}
+
+// De-vig every bookmaker that quotes a complete outcome set (all outcomes of
+// one market line). Returns { selectionKey: { bookmaker: fairProb } }
+function devigSelectionGroups(selectionGroups, method) {
+  const bookProbs = {};
+
+  for (const set of Object.values(groupOutcomeSets(selectionGroups))) {
+    if (set.keys.size < 2) continue;
+
+    for (const [bookmaker, prices] of Object.entries(set.books)) {
+      const keys = Object.keys(prices);
+      // Only books quoting every outcome can have their margin removed
+      if (keys.length !== set.keys.size) continue;
+
+      const probs = devigProbabilities(keys.map(k => prices[k]), method);
+      keys.forEach((k, i) => {
+        if (!bookProbs[k]) bookProbs[k] = {};
+        bookProbs[k][bookmaker] = probs[i];
+      });
+    }
+  }
+
+  return bookProbs;
+}
+
+// Overround (summed implied probability - 1) of each bookmaker on every
+// complete outcome set it quotes. Returns { bookmaker: [overround, ...] }
+function calculateOverrounds(selectionGroups) {
+  const overrounds = {};
+
+  for (const set of Object.values(groupOutcomeSets(selectionGroups))) {
+    if (set.keys.size < 2) continue;
+
+    for (const [bookmaker, prices] of Object.entries(set.books)) {
+      const values = Object.values(prices);
+      if (values.length !== set.keys.size) continue;
+      if (!overrounds[bookmaker]) overrounds[bookmaker] = [];
+      overrounds[bookmaker].push(values.reduce((sum, price) => sum + 1 / price, 0) - 1);
+    }
+  }
+
+  return overrounds;
+}
+
+function isSharpBookmaker(bookmaker) {
+  const name = bookmaker?.toLowerCase();
+  return bookmakerWeightProfile.sharpBooks.some(b => b.toLowerCase() === name);
+}
+
+// Weight earned from the sharpness job, or null when disabled / not enough history
+function getSharpnessWeight(bookmaker) {
+  if (!bookmakerWeightProfile.useSharpnessScores) return null;
+  return sharpnessScores.bookmakers[bookmaker]?.weight ?? null;
+}
+
+function getBookmakerWeight(bookmaker) {
+  if (bookmakerWeightProfile.weights[bookmaker] !== undefined) {
+    return bookmakerWeightProfile.weights[bookmaker];
+  }
+  const scored = getSharpnessWeight(bookmaker);
+  if (scored !== null) return scored;
+  return isSharpBookmaker(bookmaker) ? bookmakerWeightProfile.sharpWeight : bookmakerWeightProfile.defaultWeight;
+}
+
+// Combine per-bookmaker fair probabilities ({ bookmaker: prob }) into one.
+// Weighted mean when a sharp book (or a scored book) is quoting, otherwise the plain median.
+function calculateFairConsensus(probsByBook) {
+  const entries = Object.entries(probsByBook);
+  const sharpBooks = entries.map(([bookmaker]) => bookmaker).filter(isSharpBookmaker);
+  const hasScoredBook = entries.some(([bookmaker]) => getSharpnessWeight(bookmaker) !== null);
+
+  if (sharpBooks.length === 0 && !hasScoredBook) {
+    return {
+      fairProb: calculateMedian(entries.map(([, prob]) => prob)),
+      method: 'median',
+      sharpBooks,
+      weights: null
+    };
+  }
+
+  const weights = {};
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  for (const [bookmaker, prob] of entries) {
+    const weight = Math.max(0, getBookmakerWeight(bookmaker));
+    weights[bookmaker] = weight;
+    weightedSum += prob * weight;
+    totalWeight += weight;
+  }
+
+  return {
+    fairProb: totalWeight > 0 ? weightedSum / totalWeight : calculateMedian(entries.map(([, prob]) => prob)),
+    method: totalWeight > 0 ? 'weighted' : 'median',
+    sharpBooks,
+    weights
+  };
+}
+
+// Check every complete outcome set of a market for an arbitrage: the best
+// trusted price per outcome has implied probabilities summing below 1
+function findArbitrage(selectionGroups, outcomeCount) {
+  const outcomeSets = {};
+  for (const selection of Object.values(selectionGroups)) {
+    if (!outcomeSets[selection.outcomeSet]) outcomeSets[selection.outcomeSet] = [];
+    outcomeSets[selection.outcomeSet].push(selection);
+  }
+
+  const arbs = [];
+
+  for (const [outcomeSet, selections] of Object.entries(outcomeSets)) {
+    if (selections.length !== outcomeCount) continue;
+
+    const legs = selections.map(selection => {
+      const best = selection.odds
+        .filter(o => !o.suspect)
+        .reduce((top, o) => (!top || o.price > top.price ? o : top), null);
+      return best && {
+        selection: selection.name,
+        line: selection.line,
+        bookmaker: best.bookmaker,
+        odds: best.price
+      };
+    });
+    if (legs.some(leg => !leg)) continue;
+
+    const impliedSum = legs.reduce((sum, leg) => sum + 1 / leg.odds, 0);
+    if (impliedSum >= 1) continue;
+
+    arbs.push({
+      line: outcomeSet || null,
+      impliedSum: parseFloat(impliedSum.toFixed(4)),
+      profitPct: parseFloat(((1 / impliedSum - 1) * 100).toFixed(2)),
+      legs
+    });
+  }
+
+  return arbs;
+}
+
+// Split a total stake across arb legs so every outcome returns the same amount
+function calculateArbStakes(arb, totalStake) {
+  const impliedSum = arb.legs.reduce((sum, leg) => sum + 1 / leg.odds, 0);
+  const guaranteedReturn = totalStake / impliedSum;
+
+  return {
+    ...arb,
+    totalStake,
+    guaranteedReturn: parseFloat(guaranteedReturn.toFixed(2)),
+    guaranteedProfit: parseFloat((guaranteedReturn - totalStake).toFixed(2)),
+    legs: arb.legs.map(leg => ({
+      ...leg,
+      stake: parseFloat((totalStake * (1 / leg.odds) / impliedSum).toFixed(2)),
+      payout: parseFloat(guaranteedReturn.toFixed(2))
+    }))
+  };
+}
+
+// Work out which side of a line market a selection is on
+function getLineSide(type, selectionName) {
+  const name = selectionName?.toLowerCase() || '';
+  if (type === 'totals') {
+    if (name.startsWith('over')) return 'over';
+    if (name.startsWith('under')) return 'under';
+  } else if (type === 'handicap') {
+    if (name === '1') return 'home';
+    if (name === '2') return 'away';
+  }
+  return null;
+}
+
+// Find middles between quotes ({ side, line, odds, bookmaker, fairProb, selection })
+// of one market. Both legs win when the result lands inside the window.
+function findMiddles(quotes, type) {
+  const [lowSide, highSide] = type === 'totals' ? ['over', 'under'] : ['home', 'away'];
+  // Half lines only - whole and quarter lines can push, which the probability
+  // and EV below don't account for
+  const halfLines = quotes.filter(q => isHalfLine(q.line));
+  const lows = halfLines.filter(q => q.side === lowSide);
+  const highs = halfLines.filter(q => q.side === highSide);
+  const middles = [];
+
+  for (const low of lows) {
+    for (const high of highs) {
+      // Totals: Over L1 + Under L2 win together when L1 < total < L2.
+      // Handicap: home h + away a win together when -h < home margin < a.
+      const from = type === 'totals' ? low.line : -low.line;
+      const to = high.line;
+      if (!(to > from)) continue;
+
+      // Probability both legs win, from the consensus fair probabilities
+      const middleProb = low.fairProb + high.fairProb - 1;
+      if (middleProb <= 0) continue;
+
+      // EV of equal stakes on both legs, as % of the total staked
+      const combinedEV = ((low.fairProb * low.odds + high.fairProb * high.odds) / 2 - 1) * 100;
+      if (combinedEV < MIDDLE_MIN_EV) continue;
+
+      const outcomes = [];
+      for (let n = Math.floor(from) + 1; n < to; n++) {
+        if (n > from) outcomes.push(n);
+      }
+
+      middles.push({
+        type,
+        window: { from, to, outcomes },
+        middleProb: parseFloat((middleProb * 100).toFixed(2)),
+        combinedEV: parseFloat(combinedEV.toFixed(2)),
+        legs: [low, high].map(q => ({
+          selection: q.selection,
+          line: q.line,
+          bookmaker: q.bookmaker,
+          odds: q.odds,
+          fairProb: parseFloat((q.fairProb * 100).toFixed(1))
+        }))
+      });
+    }
+  }
+
+  return middles;
+}
+
+// Quarter lines (x.25 / x.75) split the stake across two lines
+function isQuarterLine(line) {
+  return Math.abs(line * 4) % 2 === 1;
+}
+
+// Half lines (x.5) always win or lose - never push
+function isHalfLine(line) {
+  return Math.abs(line * 2) % 2 === 1;
+}
+
+// Home/away result a market settles on - the score, or the sum of its statistics
+function getSettlementResult(rule, score) {
+  const source = rule.period ? score?.periods?.[rule.period] : score;
+  if (!rule.stats) return source;
+
+  const counts = rule.stats.map(type => source?.stats?.[type]);
+  if (counts.some(c => c?.home == null || c?.away == null)) return null;
+  return {
+    home: counts.reduce((sum, c) => sum + Number(c.home), 0),
+    away: counts.reduce((sum, c) => sum + Number(c.away), 0)
+  };
+}
+
+// Win and push probability of a whole or half line, from the fair win
+// probabilities of the half lines (`${side}|${line}` -> prob). Overs improve as
+// the line drops, unders and handicaps as it rises.
+function getLineProbabilities(side, line, halfLineProbs) {
+  if (!Number.isInteger(line)) {
+    const win = halfLineProbs[`${side}|${line}`];
+    return win === undefined ? null : { win, push: 0 };
+  }
+
+  const step = side === 'over' ? -0.5 : 0.5;
+  const win = halfLineProbs[`${side}|${line - step}`];
+  const winOrPush = halfLineProbs[`${side}|${line + step}`];
+  if (win === undefined || winOrPush === undefined) return null;
+  return { win, push: Math.max(0, winOrPush - win) };
+}
+
+// EV (%) of a quarter line: half the stake on each neighbouring line, a push
+// returning that half. Null when the neighbouring lines aren't quoted.
+function calculateQuarterLineEV(side, line, odds, halfLineProbs) {
+  const halves = [line - 0.25, line + 0.25].map(h => getLineProbabilities(side, h, halfLineProbs));
+  if (halves.some(h => !h) || !odds || odds <= 1) return null;
+  return halves.reduce((sum, h) => sum + 0.5 * (h.win * odds + h.push - 1), 0) * 100;
+}
+
+// Settle a selection from the final score: 'won', 'lost', 'void' (push), or on
+// quarter lines 'half_won' / 'half_lost'. Null when the market can't be settled
+// from the score alone.
+// score = { home, away, stats, periods: { [periodType]: { home, away, stats } } },
+// stats = { [statType]: { home, away } }
+function resolveSelectionOutcome(marketId, selection, line, score) {
+  const rule = SCORE_SETTLED_MARKETS[marketId];
+  const result = rule && getSettlementResult(rule, score);
+  if (!rule || result?.home == null || result?.away == null) return null;
+
+  const home = Number(result.home);
+  const away = Number(result.away);
+  const total = rule.team === 'home' ? home : rule.team === 'away' ? away : home + away;
+  const name = String(selection).toLowerCase();
+  const lineValue = parseFloat(line);
+  const settle = margin => (margin > 0 ? 'won' : margin < 0 ? 'lost' : 'void');
+
+  if (rule.type === '1x2') {
+    const winner = home > away ? '1' : away > home ? '2' : 'x';
+    return ['1', 'x', '2'].includes(name) ? (name === winner ? 'won' : 'lost') : null;
+  }
+
+  if (rule.type === 'btts') {
+    const both = home > 0 && away > 0;
+    if (name === 'yes') return both ? 'won' : 'lost';
+    if (name === 'no') return both ? 'lost' : 'won';
+    return null;
+  }
+
+  const side = getLineSide(rule.type, selection);
+  if (isNaN(lineValue) || !side) return null;
+
+  const settleLine = l => {
+    if (side === 'over') return settle(total - l);
+    if (side === 'under') return settle(l - total);
+    if (side === 'home') return settle(home - away + l);
+    return settle(away - home + l);
+  };
+
+  // Quarter lines: half the stake on each neighbouring line
+  if (isQuarterLine(lineValue)) {
+    const halves = [settleLine(lineValue - 0.25), settleLine(lineValue + 0.25)];
+    if (halves[0] === halves[1]) return halves[0];
+    return halves.includes('won') ? 'half_won' : 'half_lost';
+  }
+
+  return settleLine(lineValue);
+}
+
+// Alias registry entry with defaults filled in - from the defaults, a
+// bookmaker_aliases row or an admin request
+function toBookmakerAlias(entry) {
+  return {
+    alias: entry.alias,
+    matchType: entry.matchType || 'exact',
+    canonical: entry.canonical,
+    region: entry.region || null,
+    licence: entry.licence || null
+  };
+}
+
+function setBookmakerAliases(entries) {
+  bookmakerRegistry.aliases = new Map(entries.map(entry => [entry.alias.toLowerCase(), toBookmakerAlias(entry)]));
+}
+
+setBookmakerAliases(DEFAULT_BOOKMAKER_ALIASES);
+
+// Alias entry a raw provider name resolves to, or null
+function findBookmakerAlias(name) {
+  const lower = name.toLowerCase();
+  const exact = bookmakerRegistry.aliases.get(lower);
+  if (exact?.matchType === 'exact') return exact;
+
+  let best = null;
+  for (const [key, entry] of bookmakerRegistry.aliases) {
+    const matches = entry.matchType === 'prefix' ? lower.startsWith(key)
+      : entry.matchType === 'contains' ? lower.includes(key)
+      : false;
+    if (matches && (!best || key.length > best.alias.length)) best = entry;
+  }
+  return best;
+}
+
+// Display name of a raw provider name. Names no alias matches are passed
+// through unchanged and listed for review.
+function resolveBookmaker(name) {
   if (!name) return name;
-  // Consolidate Unibet regional variants (Unibet.fr, Unibet.de, etc.)
-  if (name.toLowerCase().startsWith('unibet')) return 'Unibet';
-  // Consolidate Bet365 variants
-  if (name.toLowerCase().startsWith('bet365')) return 'Bet365';
-  // Consolidate 1xBet variants
-  if (name.toLowerCase().includes('1xbet')) return '1XBet';
-  // Consolidate Betway variants
-  if (name.toLowerCase().startsWith('betway')) return 'BetWay';
-  return name;
-}
-
-async function fetchLSports(endpoint, body, retries = 3) {
+  const alias = findBookmakerAlias(name);
+
+  if (!alias) {
+    const now = new Date().toISOString();
+    const unknown = bookmakerRegistry.unknown.get(name) || { firstSeen: now, count: 0 };
+    bookmakerRegistry.unknown.set(name, { ...unknown, lastSeen: now, count: unknown.count + 1 });
+    return name;
+  }
+
+  return getBookmakerDisplayName(name, alias);
+}
+
+// Display name of a raw provider name given the alias it matched
+function getBookmakerDisplayName(name, alias) {
+  if (!alias) return name;
+  if (bookmakerSettings.mergeRegionalVariants) return alias.canonical;
+  return alias.region ? `${alias.canonical} (${alias.region})` : (alias.matchType === 'exact' ? alias.canonical : name);
+}
+
+// Rate-limited request with retries, shared by every live odds provider
+async function fetchWithRetry(url, options, retries = 3) {
   // Check rate limit
   if (!rateLimiter.canMakeRequest()) {
     const waitTime = rateLimiter.getWaitTime();
@@ -427,11 +1394,7 @@ async function fetchLSports(endpoint, body, retries = 3) {
 
   for (let attempt = 1; attempt <= retries; attempt++) {
     try {
-      const response = await fetch(`${LSPORTS_API_BASE}${endpoint}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body)
-      });
+      const response = await fetch(url, options);
 
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -462,21 +1425,305 @@ async function fetchLSports(endpoint, body, retries = 3) {
   }
 }
 
-// ============ DATA STORAGE ============
+// POST to the LSports STM API. `endpoint` is a path on the snapshot API or a full URL.
+function fetchLSports(endpoint, body, retries = 3) {
+  const url = endpoint.startsWith('http') ? endpoint : `${LSPORTS_API_BASE}${endpoint}`;
+  return fetchWithRetry(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }, retries);
+}
 
-let cachedData = {
-  matches: [],
-  bookmakers: [],
-  leaguesInResults: {},
-  lastUpdated: null,
-  isLoading: false,
-  error: null,
-  stats: {
-    totalBets: 0,
-    positiveBets: 0,
-    avgEV: 0,
-    refreshCount: 0
-  }
+// GET from the LSports OddService API (credentials go in the query string)
+function fetchOddService(endpoint, params, retries = 3) {
+  const query = new URLSearchParams({
+    Username: LSPORTS_CREDS.UserName,
+    Password: LSPORTS_CREDS.Password,
+    Guid: process.env.ODDSERVICE_GUID || String(LSPORTS_CREDS.PackageId),
+    ...params
+  });
+  return fetchWithRetry(`${ODDSERVICE_API_BASE}${endpoint}?${query}`, {
+    method: 'GET',
+    headers: { Accept: 'application/json' }
+  }, retries);
+}
+
+// ============ ODDS PROVIDERS ============
+
+// Every odds source implements the same interface and answers in the LSports
+// STM shape ({ Header, Body }), so the EV pipeline doesn't care where data comes from:
+//   getFixtures({ fixtureIds, leagues, fromDate, toDate })
+//   getFixtureMarkets({ fixtureIds, leagues, markets, timestamp })
+//   getScores({ fixtureIds, fromDate, toDate })
+//   getProviders()
+//   getLiveEvents({ fixtureIds, leagues, markets }) - optional, in-play fixtures
+//     with their Livescore and Markets; live mode is unavailable without it
+//   now() - the clock kickoff times are compared against
+
+function createLSportsProvider() {
+  const filters = ({ fixtureIds, leagues, fromDate, toDate }) => ({
+    ...(fixtureIds && { Fixtures: fixtureIds }),
+    ...(leagues && { Leagues: leagues }),
+    ...(fromDate && { FromDate: fromDate }),
+    ...(toDate && { ToDate: toDate })
+  });
+
+  return {
+    name: 'lsports',
+    getFixtures(params = {}) {
+      return fetchLSports('/PreMatch/GetFixtures', { ...LSPORTS_CREDS, ...filters(params) });
+    },
+    getFixtureMarkets({ markets, timestamp, ...params } = {}) {
+      return fetchLSports('/PreMatch/GetFixtureMarkets', {
+        ...LSPORTS_CREDS,
+        ...filters(params),
+        ...(markets && { Markets: markets }),
+        ...(timestamp && { Timestamp: timestamp })
+      });
+    },
+    // The STM API has no dedicated GetScores endpoint - finished fixtures carry their Livescore
+    getScores(params = {}) {
+      return this.getFixtures(params);
+    },
+    getProviders() {
+      return fetchLSports(`${LSPORTS_METADATA_BASE}/PreMatch/GetProviders`, LSPORTS_CREDS);
+    },
+    getLiveEvents({ markets, ...params } = {}) {
+      return fetchLSports('/InPlay/GetEvents', {
+        ...LSPORTS_CREDS,
+        ...filters(params),
+        ...(markets && { Markets: markets })
+      });
+    },
+    now: () => new Date()
+  };
+}
+
+function createOddServiceProvider() {
+  const toUnix = date => String(Math.floor(new Date(date).getTime() / 1000));
+  const filters = ({ fixtureIds, leagues, fromDate, toDate }) => ({
+    ...(fixtureIds && { Fixtures: fixtureIds.join(',') }),
+    ...(leagues && { Leagues: leagues.join(',') }),
+    ...(fromDate && { FromDate: toUnix(fromDate) }),
+    ...(toDate && { ToDate: toUnix(toDate) })
+  });
+
+  // OddService nests bookmakers as Markets[].Providers - rename to the STM ProviderMarkets
+  const toStmShape = data => ({
+    Header: data?.Header || {},
+    Body: (Array.isArray(data?.Body) ? data.Body : data?.Body?.Events || []).map(event => ({
+      ...event,
+      Markets: (event.Markets || []).map(({ Providers, ...market }) => ({
+        ...market,
+        ProviderMarkets: market.ProviderMarkets || Providers || []
+      }))
+    }))
+  });
+
+  return {
+    name: 'oddservice',
+    async getFixtures(params = {}) {
+      return toStmShape(await fetchOddService('/GetFixtures', filters(params)));
+    },
+    async getFixtureMarkets({ markets, timestamp, ...params } = {}) {
+      return toStmShape(await fetchOddService('/GetFixtureMarkets', {
+        ...filters(params),
+        ...(markets && { Markets: markets.join(',') }),
+        ...(timestamp && { Timestamp: String(timestamp) })
+      }));
+    },
+    getScores(params = {}) {
+      return this.getFixtures(params);
+    },
+    async getProviders() {
+      const data = await fetchOddService('/GetBookmakers', {});
+      return { Header: data?.Header || {}, Body: data?.Body?.Bookmakers || data?.Body || [] };
+    },
+    now: () => new Date()
+  };
+}
+
+// Read one recorded response file (.json or gzipped .json.gz)
+function readRecordFile(filePath) {
+  const raw = fs.readFileSync(filePath);
+  return JSON.parse(filePath.endsWith('.gz') ? zlib.gunzipSync(raw).toString('utf8') : raw.toString('utf8'));
+}
+
+// Plays back recorded responses from a directory, for offline development and
+// --replay. Files are read in name order; each holds { kind, request, response,
+// recordedAt } or a bare { Header, Body } response, with the kind (fixtures,
+// markets, delta, sample, scores, providers, live, matches) taken from the record or the last
+// '-' part of the file name. A 'matches' record closes a refresh cycle: within a
+// cycle market requests are answered from that cycle's responses, filtered to
+// the requested fixtures, so batch boundaries don't have to line up.
+function createReplayProvider(dir) {
+  if (!dir || !fs.existsSync(dir)) {
+    throw new Error(`Replay directory not found: ${dir}`);
+  }
+
+  const cycles = [{ records: [], result: null }];
+
+  for (const file of fs.readdirSync(dir).filter(f => /\.json(\.gz)?$/.test(f)).sort()) {
+    const filePath = path.join(dir, file);
+    const data = readRecordFile(filePath);
+    const isRecord = data.response !== undefined;
+    const record = {
+      kind: data.kind || file.replace(/\.json(\.gz)?$/, '').split('-').pop(),
+      response: isRecord ? data.response : data,
+      recordedAt: data.recordedAt || fs.statSync(filePath).mtime.toISOString(),
+      mode: data.mode,
+      now: data.now
+    };
+
+    if (record.kind === 'matches') {
+      cycles[cycles.length - 1].result = record;
+      cycles.push({ records: [], result: null });
+    } else {
+      cycles[cycles.length - 1].records.push(record);
+    }
+  }
+  if (cycles.length > 1 && cycles[cycles.length - 1].records.length === 0) cycles.pop();
+
+  console.log(`[Replay] Loaded ${cycles.reduce((sum, c) => sum + c.records.length, 0)} recorded responses in ${cycles.length} cycle(s) from ${dir}`);
+
+  let cycleIndex = 0;
+  let clock = null;
+
+  const inCycle = kind => cycles[cycleIndex].records.filter(r => r.kind === kind);
+
+  // Latest response of a kind recorded up to the current cycle
+  const latest = kind => {
+    for (let i = cycleIndex; i >= 0; i--) {
+      const records = cycles[i].records.filter(r => r.kind === kind);
+      if (records.length > 0) return records[records.length - 1];
+    }
+    return null;
+  };
+
+  const respond = (records, { fixtureIds, leagues } = {}) => {
+    if (records.length === 0) return { Header: {}, Body: [] };
+    if (!clock) clock = new Date(records[records.length - 1].recordedAt);
+
+    return {
+      Header: records[0].response?.Header || {},
+      Body: records.flatMap(r => r.response?.Body || []).filter(event => {
+        if (fixtureIds && !fixtureIds.includes(event.FixtureId)) return false;
+        const leagueId = event.Fixture?.League?.Id;
+        if (leagues && leagueId !== undefined && !leagues.includes(leagueId)) return false;
+        return true;
+      })
+    };
+  };
+
+  return {
+    name: 'replay',
+    rateLimited: false,
+    cycles,
+    // Move to a recorded cycle and use the clock that cycle was computed with
+    startCycle(index) {
+      cycleIndex = index;
+      clock = cycles[index].result?.now ? new Date(cycles[index].result.now) : null;
+    },
+    async getFixtures(params = {}) {
+      const record = latest('fixtures');
+      return respond(record ? [record] : [], params);
+    },
+    async getFixtureMarkets({ timestamp, ...params } = {}) {
+      // Nothing changes offline unless deltas were recorded
+      if (timestamp) {
+        const deltas = inCycle('delta');
+        return deltas.length > 0 ? respond(deltas, params) : { Header: { ServerTimestamp: timestamp }, Body: [] };
+      }
+      return respond(inCycle('markets'), params);
+    },
+    async getScores(params = {}) {
+      const record = latest('scores') || latest('fixtures');
+      return respond(record ? [record] : [], params);
+    },
+    async getProviders() {
+      return latest('providers')?.response || { Header: {}, Body: [] };
+    },
+    async getLiveEvents(params = {}) {
+      const record = latest('live');
+      return respond(record ? [record] : [], params);
+    },
+    now: () => clock || new Date()
+  };
+}
+
+// Wrap a provider so every raw response is written to a session directory as
+// <seq>-<kind>.json.gz. recordResults() adds the computed output of each cycle.
+function createRecordingProvider(provider, baseDir) {
+  const sessionDir = path.join(baseDir, new Date().toISOString().replace(/[:.]/g, '-'));
+  fs.mkdirSync(sessionDir, { recursive: true });
+  console.log(`[Recorder] Recording ${provider.name} responses to ${sessionDir}`);
+
+  let sequence = 0;
+
+  const write = (kind, data) => {
+    const file = path.join(sessionDir, `${String(++sequence).padStart(6, '0')}-${kind}.json.gz`);
+    zlib.gzip(JSON.stringify({ kind, recordedAt: new Date().toISOString(), ...data }), (error, buffer) => {
+      if (error) return console.error('[Recorder] Compress error:', error.message);
+      fs.promises.writeFile(file, buffer).catch(err => console.error('[Recorder] Write error:', err.message));
+    });
+  };
+
+  const recorded = (kind, method) => async (params = {}) => {
+    const response = await method(params);
+    write(typeof kind === 'function' ? kind(params) : kind, { request: params, response });
+    return response;
+  };
+
+  return {
+    ...provider,
+    getFixtures: recorded('fixtures', params => provider.getFixtures(params)),
+    // Unfiltered discovery samples are kept apart so replayed cycles only see the markets they requested
+    getFixtureMarkets: recorded(params => (params.timestamp ? 'delta' : params.markets ? 'markets' : 'sample'), params => provider.getFixtureMarkets(params)),
+    getScores: recorded('scores', params => provider.getScores(params)),
+    getProviders: recorded('providers', () => provider.getProviders()),
+    getLiveEvents: provider.getLiveEvents && recorded('live', params => provider.getLiveEvents(params)),
+    recordResults({ mode, now, matches, arbs, middles }) {
+      write('matches', { mode, now: now.toISOString(), response: { matches, arbs, middles } });
+    },
+    sessionDir
+  };
+}
+
+function createOddsProvider(name) {
+  switch (name) {
+    case 'lsports':
+      return createLSportsProvider();
+    case 'oddservice':
+      return createOddServiceProvider();
+    case 'replay':
+      return createReplayProvider(REPLAY_DIR);
+    default:
+      throw new Error(`Unknown ODDS_PROVIDER "${name}". Use: lsports, oddservice, replay`);
+  }
+}
+
+const oddsProvider = RECORD_RESPONSES && !REPLAY_COMMAND_DIR
+  ? createRecordingProvider(createOddsProvider(ODDS_PROVIDER), RECORDINGS_DIR)
+  : createOddsProvider(ODDS_PROVIDER);
+
+// ============ DATA STORAGE ============
+
+let cachedData = {
+  matches: [],
+  arbs: [],
+  middles: [],
+  bookmakers: [],
+  leaguesInResults: {},
+  lastUpdated: null,
+  isLoading: false,
+  error: null,
+  stats: {
+    totalBets: 0,
+    positiveBets: 0,
+    avgEV: 0,
+    refreshCount: 0
+  }
 };
 
 // Separate fixture cache (fixtures change less frequently)
@@ -487,17 +1734,436 @@ let fixtureCache = {
   ttlMs: 5 * 60 * 1000   // Cache fixtures for 5 minutes
 };
 
+// Latest markets per fixture, merged across batches and deltas: fixtureId -> { event, fetchedAt }
+const marketsCache = new Map();
+
+// Last evaluation per fixture (value bets, arbs, middles) - deltas only replace
+// the fixtures they touch
+const fixtureResults = new Map();
+
+// Leagues and markets seen in LSports responses but not configured,
+// reported at /api/admin/discovery
+const discovery = {
+  leagues: new Map(), // leagueId -> { name, sportId, sport, country, fixtureCount, bookmakers, sampleFixtures, ... }
+  markets: new Map(), // `${sport}:${marketId}` -> { name, fixtureIds, bookmakers, sampleSelections, ... }
+  lastMarketSample: 0
+};
+
+// Bookmakers available to our package, from GetProviders
+const providerCatalog = {
+  providers: new Map(), // providerId -> { id, name, isActive }
+  lastSync: null,
+  error: null
+};
+
+// Hourly bookmaker positioning samples for /api/analytics/bookmakers
+// (persisted in bookmaker_analytics)
+const bookmakerAnalytics = {
+  buckets: new Map(), // `${hour}|${leagueId}|${bookmaker}` -> counters
+  lastSample: 0
+};
+
+// Per-bookmaker balances from the bankroll ledger, for stake warnings
+const bankroll = {
+  balances: new Map() // ledger key -> { bookmaker, balance }
+};
+
+// Latest bookmaker sharpness scores (persisted in bookmaker_sharpness)
+let sharpnessScores = {
+  bookmakers: {}, // bookmaker -> { samples, logLoss, brier, byCategory, leads, lags, concurrent, leadShare, weight }
+  computedAt: null,
+  running: false,
+  error: null
+};
+
+// Delta update state - the fixture list and leagues of the last full sync and
+// the LSports server timestamp changes are requested from
+let oddsBook = {
+  fixtures: [],
+  targetLeagues: [],
+  lastServerTimestamp: null,
+  lastFullSync: null,
+  deltaCount: 0
+};
+
 // Track API response metadata for debugging
 let apiMetadata = {
   lastFixturesResponse: null,
   lastMarketsResponse: null,
+  lastMarketsBatches: [],
+  lastDelta: null,
   lastServerTimestamp: null,
   totalApiCalls: 0,
   avgResponseTime: 0
 };
 
+// ============ FIXTURE EVALUATION ============
+
+// Evaluate the markets of one fixture: value bets, arbs and middles.
+// `match` is null when the fixture has no value bets. `live` is the in-play
+// state of a live fixture (see getLiveState) - suspended and closed markets are
+// skipped and prices go stale on the in-play clock. `bookmakerMarkets` counts
+// the markets each bookmaker quotes and `bookmakerOverrounds` sums its margin per
+// category ({ bookmaker: { category: { sum, count } } }), for the bookmaker stats.
+function evaluateFixture(fixture, event, now, live = null) {
+  const arbs = [];
+  const middles = [];
+  const allBookmakers = new Set();
+  const bookmakerMarkets = {};
+  const bookmakerOverrounds = {};
+  const valueBets = [];
+
+  if (live?.suspended) return { match: null, arbs, middles, bookmakers: allBookmakers, bookmakerMarkets, bookmakerOverrounds };
+
+  for (const market of (event.Markets || [])) {
+    const marketConfig = getMarketConfig(fixture.sport, market.Id);
+    if (!marketConfig) continue;
+    if (live && !isLiveMarketOpen(fixture.sport, marketConfig, live)) continue;
+
+    // Group bets by selection
+    const selectionGroups = {};
+    const isPlayerProp = marketConfig.isPlayerProp;
+    const hasPlayerLines = marketConfig.playerLines || false;
+    const quotedBy = new Set();
+
+    for (const pm of (market.ProviderMarkets || [])) {
+      const bookmaker = resolveBookmaker(pm.Name);
+      allBookmakers.add(bookmaker);
+      if (!quotedBy.has(bookmaker)) {
+        quotedBy.add(bookmaker);
+        bookmakerMarkets[bookmaker] = (bookmakerMarkets[bookmaker] || 0) + 1;
+      }
+
+      for (const bet of (pm.Bets || [])) {
+        if (!bet.Price || parseFloat(bet.Price) <= 1) continue;
+        // Suspended/settled bets (Status 2/3) arrive in deltas - their price is no longer on offer
+        if (bet.Status && bet.Status !== 1) continue;
+
+        // Handle player prop naming
+        let selectionName = bet.Name;
+        let playerName = bet.PlayerName || null;
+
+        if (isPlayerProp && hasPlayerLines && bet.PlayerName) {
+          selectionName = `${bet.PlayerName} ${bet.Name}`;
+        }
+
+        const key = `${selectionName}${bet.Line ? `_${bet.Line}` : ''}`;
+        if (!selectionGroups[key]) {
+          selectionGroups[key] = {
+            name: selectionName,
+            line: bet.Line,
+            playerName: playerName || (isPlayerProp ? bet.Name : null),
+            // Selections sharing an outcome set are the mutually exclusive
+            // outcomes of one line (BaseLine pairs AH -0.5 with +0.5)
+            outcomeSet: `${hasPlayerLines ? `${bet.PlayerName}_` : ''}${bet.BaseLine ?? bet.Line ?? ''}`,
+            odds: []
+          };
+        }
+        selectionGroups[key].odds.push({
+          bookmaker,
+          price: parseFloat(bet.Price),
+          lastUpdate: bet.LastUpdate || null
+        });
+      }
+    }
+
+    // Flag mispriced and stale lines before they reach the consensus
+    for (const selection of Object.values(selectionGroups)) {
+      selection.odds = flagSuspectPrices(selection.odds, live ? LIVE_SETTINGS.staleAfterMs : undefined);
+    }
+
+    // Check for arbitrage across bookmakers on complete outcome sets
+    if (ARB_MARKETS[market.Id]) {
+      for (const arb of findArbitrage(selectionGroups, ARB_MARKETS[market.Id])) {
+        arbs.push({
+          fixtureId: fixture.fixtureId,
+          homeTeam: fixture.home,
+          awayTeam: fixture.away,
+          kickoff: fixture.startDate,
+          league: fixture.league,
+          leagueId: fixture.leagueId,
+          marketId: market.Id,
+          marketName: marketConfig.name,
+          ...arb
+        });
+      }
+    }
+
+    // Remove each bookmaker's margin across the outcomes of every line
+    const devigMethod = getDevigMethod(marketConfig.category);
+    const bookFairProbs = devigMethod === 'none' ? {} : devigSelectionGroups(selectionGroups, devigMethod);
+
+    // Margin per bookmaker - only meaningful where the outcomes are mutually exclusive
+    if (devigMethod !== 'none') {
+      for (const [bookmaker, values] of Object.entries(calculateOverrounds(selectionGroups))) {
+        if (!bookmakerOverrounds[bookmaker]) bookmakerOverrounds[bookmaker] = {};
+        const byCategory = bookmakerOverrounds[bookmaker];
+        if (!byCategory[marketConfig.category]) byCategory[marketConfig.category] = { sum: 0, count: 0 };
+        values.forEach(v => {
+          byCategory[marketConfig.category].sum += v;
+          byCategory[marketConfig.category].count++;
+        });
+      }
+    }
+    const middleType = MIDDLE_MARKETS[market.Id];
+    const lineQuotes = [];
+
+    const lineType = SCORE_SETTLED_MARKETS[market.Id]?.type;
+    const fairBySelection = {};
+    const halfLineProbs = {}; // `${side}|${line}` -> fair probability, for quarter-line EV
+
+    for (const [key, selection] of Object.entries(selectionGroups)) {
+      // Require at least 4 trusted bookmakers for reliable median calculation
+      const cleanOdds = selection.odds.filter(o => !o.suspect);
+      if (cleanOdds.length < 4) continue;
+
+      // Fair probability = weighted consensus of the de-vigged bookmaker
+      // probabilities. Falls back to raw implied probabilities when no book
+      // quotes a full outcome set.
+      const devigged = bookFairProbs[key] || {};
+      const hasDevigged = Object.keys(devigged).length > 0;
+      const probsByBook = hasDevigged
+        ? devigged
+        : Object.fromEntries(cleanOdds.map(o => [o.bookmaker, 1 / o.price]));
+      const consensus = calculateFairConsensus(probsByBook);
+      fairBySelection[key] = { cleanOdds, devigged, consensus, selectionDevigMethod: hasDevigged ? devigMethod : 'none' };
+
+      const lineSide = lineType && getLineSide(lineType, selection.name);
+      const line = parseFloat(selection.line);
+      if (lineSide && Math.abs(line % 1) === 0.5) halfLineProbs[`${lineSide}|${line}`] = consensus.fairProb;
+    }
+
+    // Calculate EV for each selection
+    for (const [key, selection] of Object.entries(selectionGroups)) {
+      if (!fairBySelection[key]) continue;
+      const { cleanOdds, devigged, consensus, selectionDevigMethod } = fairBySelection[key];
+      const fairProb = consensus.fairProb;
+      const fairOdds = 1 / fairProb;
+
+      // Quarter lines settle as two half-stake bets on the neighbouring lines
+      const lineSide = lineType && getLineSide(lineType, selection.name);
+      const line = parseFloat(selection.line);
+      const quarterLine = Boolean(lineSide) && isQuarterLine(line);
+      const priceEV = price => {
+        const quarterEV = quarterLine ? calculateQuarterLineEV(lineSide, line, price, halfLineProbs) : null;
+        return quarterEV ?? calculateEV(fairProb, price);
+      };
+
+      // Calculate EV for each bookmaker (suspect prices never count as +EV)
+      const oddsWithEV = selection.odds.map(o => {
+        const ev = priceEV(o.price);
+        return { ...o, ev, isPositiveEV: !o.suspect && ev > 0 };
+      });
+
+      // Sort by EV, trusted prices first so the best price is never suspect
+      oddsWithEV.sort((a, b) => (a.suspect - b.suspect) || ((b.ev || 0) - (a.ev || 0)));
+
+      const bestOdds = oddsWithEV[0];
+      if (!bestOdds) continue;
+
+      const kelly = calculateKellyStake(
+        getKellyProbability({ fairProb, odds: bestOdds.price, ev: bestOdds.ev, quarterLine }),
+        bestOdds.price, marketConfig.category);
+
+      valueBets.push({
+        marketId: market.Id,
+        marketName: marketConfig.name,
+        category: marketConfig.category,
+        isPlayerProp: isPlayerProp || false,
+        playerName: selection.playerName || null,
+        selection: selection.name,
+        line: selection.line,
+        fairOdds: parseFloat(fairOdds.toFixed(3)),
+        fairProb: parseFloat((fairProb * 100).toFixed(1)),
+        devigMethod: selectionDevigMethod,
+        fairSource: {
+          method: consensus.method,
+          sharpBooks: consensus.sharpBooks,
+          weights: consensus.weights
+        },
+        bestBookmaker: bestOdds.bookmaker,
+        bestOdds: bestOdds.price,
+        bestEV: parseFloat((bestOdds.ev || 0).toFixed(2)),
+        quarterLine,
+        allBookmakers: oddsWithEV.map(o => ({
+          bookmaker: o.bookmaker,
+          odds: o.price,
+          ev: parseFloat((o.ev || 0).toFixed(2)),
+          fairProb: devigged[o.bookmaker] !== undefined ? parseFloat((devigged[o.bookmaker] * 100).toFixed(2)) : null,
+          isPositiveEV: o.isPositiveEV,
+          suspect: o.suspect,
+          suspectReason: o.suspectReason
+        })),
+        bookmakerCount: selection.odds.length,
+        suspectCount: selection.odds.length - cleanOdds.length,
+        ...kelly,
+        balanceWarning: getBalanceWarning(bestOdds.bookmaker, kelly.recommendedStake),
+        ...calculateConfidence({
+          cleanOdds,
+          hasSharpBook: consensus.sharpBooks.length > 0,
+          bestPrice: bestOdds,
+          kickoff: fixture.startDate,
+          marketConfig,
+          now
+        })
+      });
+
+      // Collect best price + fair probability per line for the middles finder
+      const side = middleType && getLineSide(middleType, selection.name);
+      if (side && !isNaN(parseFloat(selection.line))) {
+        lineQuotes.push({
+          side,
+          line: parseFloat(selection.line),
+          selection: selection.name,
+          bookmaker: bestOdds.bookmaker,
+          odds: bestOdds.price,
+          fairProb
+        });
+      }
+    }
+
+    if (middleType) {
+      for (const middle of findMiddles(lineQuotes, middleType)) {
+        middles.push({
+          fixtureId: fixture.fixtureId,
+          homeTeam: fixture.home,
+          awayTeam: fixture.away,
+          kickoff: fixture.startDate,
+          league: fixture.league,
+          leagueId: fixture.leagueId,
+          marketId: market.Id,
+          marketName: marketConfig.name,
+          ...middle
+        });
+      }
+    }
+  }
+
+  valueBets.sort((a, b) => b.bestEV - a.bestEV);
+
+  const match = valueBets.length === 0 ? null : {
+    fixtureId: fixture.fixtureId,
+    homeTeam: fixture.home,
+    awayTeam: fixture.away,
+    kickoff: fixture.startDate,
+    sport: fixture.sport,
+    league: fixture.league,
+    leagueId: fixture.leagueId,
+    leagueEmoji: fixture.leagueEmoji,
+    country: fixture.country,
+    ...(live && { live }),
+    valueBets,
+    totalEV: valueBets.reduce((sum, vb) => sum + vb.bestEV, 0),
+    bestEV: valueBets[0]?.bestEV || 0,
+    betCount: valueBets.length
+  };
+
+  return { match, arbs, middles, bookmakers: allBookmakers, bookmakerMarkets, bookmakerOverrounds };
+}
+
 // ============ MAIN EV CALCULATION ============
 
+// Flatten an LSports fixture event into the fields the EV pipeline works with
+function toFixtureSummary(e) {
+  const fixture = e.Fixture || e;
+  const participants = fixture.Participants || [];
+  const partList = Array.isArray(participants) ? participants : [participants];
+  const leagueId = fixture.League?.Id;
+  const leagueConfig = getLeagueConfig(leagueId);
+  const sport = leagueConfig?.sport || getSportKey(fixture.Sport?.Id) || 'football';
+  return {
+    fixtureId: e.FixtureId,
+    sport,
+    league: fixture.League?.Name,
+    leagueId: leagueId,
+    leagueEmoji: leagueConfig?.emoji || SPORTS[sport].emoji,
+    country: leagueConfig?.country || 'Unknown',
+    startDate: fixture.StartDate,
+    status: fixture.Status,
+    home: partList.find(p => p.Position === "1" || p.Position === 1)?.Name,
+    away: partList.find(p => p.Position === "2" || p.Position === 2)?.Name,
+  };
+}
+
+// Higher priority (lower score) for fixtures kicking off soon in top-tier leagues
+function getFixturePriority(fixture, now) {
+  const hoursToKickoff = (new Date(fixture.startDate) - now) / 3600000;
+  const tier = getLeagueConfig(fixture.leagueId)?.tier || 1;
+  return hoursToKickoff + (tier - 1) * TIER_PRIORITY_HOURS;
+}
+
+// Fetch markets for prioritised fixtures in batches within the rate-limit budget.
+// The top batch always goes first, then the batches whose odds are oldest, so
+// batches deferred this cycle are fetched next time. Results land in marketsCache.
+async function fetchMarketsInBatches(fixtures) {
+  const batches = [];
+  for (let i = 0; i < fixtures.length; i += MARKETS_BATCH_SIZE) {
+    batches.push({ index: batches.length, fixtures: fixtures.slice(i, i + MARKETS_BATCH_SIZE) });
+  }
+
+  const oldestFetch = batch => Math.min(...batch.fixtures.map(f => marketsCache.get(f.fixtureId)?.fetchedAt || 0));
+  const [topBatch, ...rest] = batches;
+  const ordered = [topBatch, ...rest.sort((a, b) => (oldestFetch(a) - oldestFetch(b)) || (a.index - b.index))];
+
+  rateLimiter.canMakeRequest(); // Prunes requests outside the window
+  const budget = oddsProvider.rateLimited === false
+    ? Infinity
+    : Math.max(1, rateLimiter.maxRequests - rateLimiter.requests.length - RATE_LIMIT_RESERVE);
+  const marketIds = getAllTargetMarketIds();
+  const batchResults = [];
+
+  for (const [position, batch] of ordered.entries()) {
+    const fixtureIds = batch.fixtures.map(f => f.fixtureId);
+
+    if (position >= budget) {
+      batchResults.push({ batch: batch.index, fixtureCount: fixtureIds.length, status: 'deferred' });
+      continue;
+    }
+
+    const startTime = Date.now();
+    try {
+      const marketsRes = await oddsProvider.getFixtureMarkets({
+        fixtureIds,
+        markets: marketIds
+      });
+      const events = marketsRes?.Body || [];
+      const responseTimeMs = Date.now() - startTime;
+
+      const fetchedAt = Date.now();
+      for (const event of events) {
+        marketsCache.set(event.FixtureId, { event, fetchedAt });
+      }
+
+      apiMetadata.lastServerTimestamp = marketsRes?.Header?.ServerTimestamp;
+      apiMetadata.totalApiCalls++;
+      apiMetadata.avgResponseTime = apiMetadata.avgResponseTime
+        ? (apiMetadata.avgResponseTime + responseTimeMs) / 2
+        : responseTimeMs;
+
+      batchResults.push({
+        batch: batch.index,
+        fixtureCount: fixtureIds.length,
+        eventCount: events.length,
+        responseTimeMs,
+        status: 'ok',
+        serverTimestamp: marketsRes?.Header?.ServerTimestamp
+      });
+    } catch (error) {
+      console.error(`[LSports] Markets batch ${batch.index + 1}/${batches.length} failed:`, error.message);
+      batchResults.push({
+        batch: batch.index,
+        fixtureCount: fixtureIds.length,
+        responseTimeMs: Date.now() - startTime,
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+
+  batchResults.sort((a, b) => a.batch - b.batch);
+  return batchResults;
+}
+
 async function fetchAndCalculateEV(leagueIds = null) {
   const startTime = Date.now();
   console.log(`[${new Date().toISOString()}] Starting EV calculation...`);
@@ -505,25 +2171,26 @@ async function fetchAndCalculateEV(leagueIds = null) {
   cachedData.error = null;
 
   try {
-    const now = new Date();
-    const targetLeagues = leagueIds || Object.keys(LSPORTS_LEAGUES).map(id => parseInt(id));
+    const now = oddsProvider.now();
+    const targetLeagues = leagueIds || getEnabledLeagueIds();
 
     // Step 1: Get fixtures (use cache if fresh)
     let allFixtures;
-    const fixtureCacheAge = fixtureCache.lastUpdated ? Date.now() - new Date(fixtureCache.lastUpdated).getTime() : Infinity;
+    const fixtureCacheAge = fixtureCache.lastUpdated ? now - new Date(fixtureCache.lastUpdated) : Infinity;
 
     if (fixtureCache.fixtures.length > 0 && fixtureCacheAge < fixtureCache.ttlMs) {
       console.log(`[LSports] Using cached fixtures (age: ${Math.round(fixtureCacheAge / 1000)}s)`);
       allFixtures = fixtureCache.fixtures;
     } else {
       console.log(`[LSports] Fetching fresh fixtures...`);
-      const fixturesRes = await fetchLSports('/PreMatch/GetFixtures', LSPORTS_CREDS);
+      const fixturesRes = await oddsProvider.getFixtures();
       allFixtures = fixturesRes?.Body || [];
 
       // Update fixture cache
       fixtureCache.fixtures = allFixtures;
-      fixtureCache.lastUpdated = new Date().toISOString();
+      fixtureCache.lastUpdated = now.toISOString();
       fixtureCache.serverTimestamp = fixturesRes?.Header?.ServerTimestamp || null;
+      recordDiscoveredLeagues(allFixtures, now);
 
       // Track metadata
       apiMetadata.lastFixturesResponse = {
@@ -536,236 +2203,92 @@ async function fetchAndCalculateEV(leagueIds = null) {
 
     // Filter to target leagues and upcoming games
     const fixtures = allFixtures
-      .map(e => {
-        const fixture = e.Fixture || e;
-        const participants = fixture.Participants || [];
-        const partList = Array.isArray(participants) ? participants : [participants];
-        const leagueId = fixture.League?.Id;
-        const leagueConfig = LSPORTS_LEAGUES[leagueId];
-        return {
-          fixtureId: e.FixtureId,
-          league: fixture.League?.Name,
-          leagueId: leagueId,
-          leagueEmoji: leagueConfig?.emoji || '⚽',
-          country: leagueConfig?.country || 'Unknown',
-          startDate: fixture.StartDate,
-          home: partList.find(p => p.Position === "1" || p.Position === 1)?.Name,
-          away: partList.find(p => p.Position === "2" || p.Position === 2)?.Name,
-        };
-      })
+      .map(toFixtureSummary)
       .filter(f => f.fixtureId && targetLeagues.includes(f.leagueId) && new Date(f.startDate) > now)
-      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
-      .slice(0, 50);
+      .sort((a, b) => getFixturePriority(a, now) - getFixturePriority(b, now));
 
     console.log(`[LSports] Found ${fixtures.length} upcoming fixtures`);
 
     if (fixtures.length === 0) {
       cachedData.matches = [];
+      cachedData.arbs = [];
+      cachedData.middles = [];
+      fixtureResults.clear();
+      if (leagueIds) oddsBook.lastFullSync = null;
+      else oddsBook.fixtures = [];
       cachedData.lastUpdated = new Date().toISOString();
       cachedData.isLoading = false;
       return;
     }
 
-    // Step 2: Get markets for all fixtures
-    const fixtureIds = fixtures.map(f => f.fixtureId);
+    // Step 2: Get markets for all fixtures in batches, merged into marketsCache
     const marketsStartTime = Date.now();
-    const marketsRes = await fetchLSports('/PreMatch/GetFixtureMarkets', {
-      ...LSPORTS_CREDS,
-      Fixtures: fixtureIds,
-      Markets: Object.keys(LSPORTS_TARGET_MARKETS).map(id => parseInt(id))
-    });
-    const marketsEvents = marketsRes?.Body || [];
+    const batchResults = await fetchMarketsInBatches(fixtures);
     const marketsResponseTime = Date.now() - marketsStartTime;
+    const fetchedBatches = batchResults.filter(b => b.status === 'ok');
+
+    // Drop cached markets for fixtures that have kicked off or left the list
+    // (a league-filtered refresh only sees part of the list)
+    if (!leagueIds) {
+      const upcomingIds = new Set(fixtures.map(f => f.fixtureId));
+      for (const fixtureId of marketsCache.keys()) {
+        if (!upcomingIds.has(fixtureId)) marketsCache.delete(fixtureId);
+      }
+    }
 
     // Track markets API metadata
+    apiMetadata.lastMarketsBatches = batchResults;
     apiMetadata.lastMarketsResponse = {
       timestamp: new Date().toISOString(),
-      eventCount: marketsEvents.length,
-      fixtureCount: fixtureIds.length,
+      eventCount: fetchedBatches.reduce((sum, b) => sum + b.eventCount, 0),
+      fixtureCount: fixtures.length,
+      cachedFixtureCount: marketsCache.size,
+      batchCount: batchResults.length,
+      failedBatches: batchResults.filter(b => b.status === 'failed').length,
+      deferredBatches: batchResults.filter(b => b.status === 'deferred').length,
       responseTimeMs: marketsResponseTime,
-      serverTimestamp: marketsRes?.Header?.ServerTimestamp
+      serverTimestamp: apiMetadata.lastServerTimestamp
     };
-    apiMetadata.lastServerTimestamp = marketsRes?.Header?.ServerTimestamp;
-    apiMetadata.totalApiCalls++;
-
-    // Update average response time
-    apiMetadata.avgResponseTime = apiMetadata.avgResponseTime
-      ? (apiMetadata.avgResponseTime + marketsResponseTime) / 2
-      : marketsResponseTime;
-
-    console.log(`[LSports] Received markets for ${marketsEvents.length} events (${marketsResponseTime}ms)`);
-
-    // Step 3: Process each fixture and calculate EV
-    const matches = [];
-    const allBookmakers = new Set();
-
-    for (const event of marketsEvents) {
-      const fixture = fixtures.find(f => f.fixtureId === event.FixtureId);
-      if (!fixture) continue;
-
-      const valueBets = [];
-
-      for (const market of (event.Markets || [])) {
-        const marketConfig = LSPORTS_TARGET_MARKETS[market.Id];
-        if (!marketConfig) continue;
-
-        // Group bets by selection
-        const selectionGroups = {};
-        const isPlayerProp = marketConfig.isPlayerProp;
-        const isPlayerShotsMarket = market.Id === 2351;
-
-        for (const pm of (market.ProviderMarkets || [])) {
-          const bookmaker = normalizeBookmaker(pm.Name);
-          allBookmakers.add(bookmaker);
-
-          for (const bet of (pm.Bets || [])) {
-            if (!bet.Price || parseFloat(bet.Price) <= 1) continue;
-
-            // Handle player prop naming
-            let selectionName = bet.Name;
-            let playerName = bet.PlayerName || null;
-
-            if (isPlayerProp && isPlayerShotsMarket && bet.PlayerName) {
-              selectionName = `${bet.PlayerName} ${bet.Name}`;
-            }
-
-            const key = `${selectionName}${bet.Line ? `_${bet.Line}` : ''}`;
-            if (!selectionGroups[key]) {
-              selectionGroups[key] = {
-                name: selectionName,
-                line: bet.Line,
-                playerName: playerName || (isPlayerProp ? bet.Name : null),
-                odds: []
-              };
-            }
-            selectionGroups[key].odds.push({
-              bookmaker,
-              price: parseFloat(bet.Price)
-            });
-          }
-        }
-
-        // Calculate EV for each selection
-        for (const selection of Object.values(selectionGroups)) {
-          // Require at least 4 bookmakers for reliable median calculation
-          if (selection.odds.length < 4) continue;
-
-          // Calculate fair odds using MEDIAN of all bookmaker odds
-          const allPrices = selection.odds.map(o => o.price);
-          const medianOdds = calculateMedian(allPrices);
-          const fairOdds = medianOdds;
-          const fairProb = 1 / fairOdds;
-
-          // Calculate EV for each bookmaker
-          const oddsWithEV = selection.odds.map(o => ({
-            ...o,
-            ev: calculateEV(fairProb, o.price),
-            isPositiveEV: calculateEV(fairProb, o.price) > 0
-          }));
-
-          // Sort by EV
-          oddsWithEV.sort((a, b) => (b.ev || 0) - (a.ev || 0));
-
-          const bestOdds = oddsWithEV[0];
-          if (!bestOdds) continue;
-
-          valueBets.push({
-            marketId: market.Id,
-            marketName: marketConfig.name,
-            category: marketConfig.category,
-            isPlayerProp: isPlayerProp || false,
-            playerName: selection.playerName || null,
-            selection: selection.name,
-            line: selection.line,
-            fairOdds: parseFloat(fairOdds.toFixed(3)),
-            fairProb: parseFloat((fairProb * 100).toFixed(1)),
-            bestBookmaker: bestOdds.bookmaker,
-            bestOdds: bestOdds.price,
-            bestEV: parseFloat((bestOdds.ev || 0).toFixed(2)),
-            allBookmakers: oddsWithEV.map(o => ({
-              bookmaker: o.bookmaker,
-              odds: o.price,
-              ev: parseFloat((o.ev || 0).toFixed(2)),
-              isPositiveEV: o.isPositiveEV
-            })),
-            bookmakerCount: selection.odds.length
-          });
-        }
-      }
-
-      if (valueBets.length > 0) {
-        valueBets.sort((a, b) => b.bestEV - a.bestEV);
 
-        matches.push({
-          fixtureId: fixture.fixtureId,
-          homeTeam: fixture.home,
-          awayTeam: fixture.away,
-          kickoff: fixture.startDate,
-          league: fixture.league,
-          leagueId: fixture.leagueId,
-          leagueEmoji: fixture.leagueEmoji,
-          country: fixture.country,
-          valueBets,
-          totalEV: valueBets.reduce((sum, vb) => sum + vb.bestEV, 0),
-          bestEV: valueBets[0]?.bestEV || 0,
-          betCount: valueBets.length
-        });
-      }
+    if (fetchedBatches.length === 0 && marketsCache.size === 0) {
+      throw new Error('All GetFixtureMarkets batches failed');
     }
 
-    // Sort matches by best EV
-    matches.sort((a, b) => b.bestEV - a.bestEV);
-
-    // Get unique leagues from results
-    const leaguesInResults = {};
-    matches.forEach(m => {
-      if (!leaguesInResults[m.leagueId]) {
-        leaguesInResults[m.leagueId] = {
-          id: m.leagueId,
-          name: m.league,
-          emoji: m.leagueEmoji,
-          country: m.country,
-          matchCount: 0
-        };
-      }
-      leaguesInResults[m.leagueId].matchCount++;
-    });
-
-    // Calculate stats
-    const allBets = matches.flatMap(m => m.valueBets);
-    const positiveBets = allBets.filter(b => b.bestEV > 0);
+    console.log(`[LSports] Fetched ${fetchedBatches.length}/${batchResults.length} market batches, ${marketsCache.size} fixtures cached (${marketsResponseTime}ms)`);
 
-    // Update cache
-    cachedData = {
-      matches,
-      bookmakers: [...allBookmakers].sort(),
-      leaguesInResults,
-      lastUpdated: new Date().toISOString(),
-      isLoading: false,
-      error: null,
-      stats: {
-        totalBets: allBets.length,
-        positiveBets: positiveBets.length,
-        avgEV: positiveBets.length > 0
-          ? (positiveBets.reduce((sum, b) => sum + b.bestEV, 0) / positiveBets.length).toFixed(2)
-          : 0,
-        refreshCount: (cachedData.stats?.refreshCount || 0) + 1,
-        fixtureCount: matches.length
+    // Now and then sample every market of a few fixtures for the discovery report
+    if (Date.now() - discovery.lastMarketSample >= DISCOVERY_SAMPLE_INTERVAL && hasSpareRequest()) {
+      try {
+        await sampleUnfilteredMarkets(allFixtures, now);
+      } catch (error) {
+        console.error('[Discovery] Market sample failed:', error.message);
       }
-    };
+    }
 
-    console.log(`[LSports] EV calculation complete: ${matches.length} matches, ${allBets.length} bets, ${positiveBets.length} positive EV`);
+    // Step 3: Process each fixture and calculate EV
+    fixtureResults.clear();
+    for (const fixture of fixtures) {
+      const cached = marketsCache.get(fixture.fixtureId);
+      if (!cached) continue;
+      fixtureResults.set(fixture.fixtureId, evaluateFixture(fixture, cached.event, now));
+    }
 
-    // Detect EV changes and send WebSocket notifications
-    detectEVChangesAndNotify(matches);
+    if (leagueIds) {
+      // A league-filtered refresh can't seed deltas for every league - the
+      // next scheduled refresh resyncs them all
+      oddsBook.lastFullSync = null;
+    } else {
+      oddsBook.fixtures = fixtures;
+      oddsBook.targetLeagues = targetLeagues;
+      oddsBook.lastFullSync = Date.now();
+      // Deltas start from the oldest batch so no change between batches is missed
+      const batchTimestamps = fetchedBatches.map(b => b.serverTimestamp).filter(Boolean);
+      oddsBook.lastServerTimestamp = batchTimestamps.length > 0
+        ? Math.min(...batchTimestamps)
+        : oddsBook.lastServerTimestamp;
+    }
 
-    // Broadcast full update to all connected clients
-    io.emit('full-update', {
-      matches: cachedData.matches,
-      bookmakers: cachedData.bookmakers,
-      lastUpdated: cachedData.lastUpdated,
-      stats: cachedData.stats
-    });
+    publishResults(fixtures, 'full', fixtureResults.size, now);
 
   } catch (error) {
     console.error('[LSports] Error:', error);
@@ -774,16 +2297,500 @@ async function fetchAndCalculateEV(leagueIds = null) {
   }
 }
 
-// ============ API ROUTES ============
+// Rebuild cachedData from the per-fixture results and broadcast it
+function publishResults(fixtures, mode, evaluatedCount, now) {
+  const matches = [];
+  const arbs = [];
+  const middles = [];
+  const allBookmakers = new Set();
+
+  for (const fixture of fixtures) {
+    const result = fixtureResults.get(fixture.fixtureId);
+    if (!result) continue;
+    if (result.match) matches.push(result.match);
+    arbs.push(...result.arbs);
+    middles.push(...result.middles);
+    result.bookmakers.forEach(b => allBookmakers.add(b));
+  }
 
-// Get all EV bets
-app.get('/api/ev-bets', (req, res) => {
-  const minEV = parseFloat(req.query.minEV || '0');
-  const maxOdds = parseFloat(req.query.maxOdds || '10');
-  const categories = req.query.categories?.split(',') || null;
-  const leagues = req.query.leagues?.split(',').map(id => parseInt(id)) || null;
+  // Sort matches by best EV, arbs by guaranteed profit, middles by combined EV
+  matches.sort((a, b) => b.bestEV - a.bestEV);
+  arbs.sort((a, b) => b.profitPct - a.profitPct);
+  middles.sort((a, b) => b.combinedEV - a.combinedEV);
+
+  // Get unique leagues from results
+  const leaguesInResults = {};
+  matches.forEach(m => {
+    if (!leaguesInResults[m.leagueId]) {
+      leaguesInResults[m.leagueId] = {
+        id: m.leagueId,
+        name: m.league,
+        emoji: m.leagueEmoji,
+        country: m.country,
+        matchCount: 0
+      };
+    }
+    leaguesInResults[m.leagueId].matchCount++;
+  });
 
-  let matches = cachedData.matches;
+  // Calculate stats
+  const allBets = matches.flatMap(m => m.valueBets);
+  const positiveBets = allBets.filter(b => b.bestEV > 0);
+
+  // Update cache
+  cachedData = {
+    matches,
+    arbs,
+    middles,
+    bookmakers: [...allBookmakers].sort(),
+    leaguesInResults,
+    lastUpdated: new Date().toISOString(),
+    isLoading: false,
+    error: null,
+    stats: {
+      totalBets: allBets.length,
+      positiveBets: positiveBets.length,
+      avgEV: positiveBets.length > 0
+        ? (positiveBets.reduce((sum, b) => sum + b.bestEV, 0) / positiveBets.length).toFixed(2)
+        : 0,
+      refreshCount: (cachedData.stats?.refreshCount || 0) + 1,
+      fixtureCount: matches.length,
+      arbCount: arbs.length,
+      middleCount: middles.length,
+      refreshMode: mode,
+      evaluatedFixtures: evaluatedCount
+    }
+  };
+
+  console.log(`[LSports] EV calculation complete (${mode}): ${matches.length} matches, ${allBets.length} bets, ${positiveBets.length} positive EV, ${arbs.length} arbs`);
+
+  if (oddsProvider.recordResults) {
+    oddsProvider.recordResults({ mode, now, matches, arbs, middles });
+  }
+
+  // Recorded sessions aren't sampled - their hours would overwrite the live ones
+  if (ODDS_PROVIDER !== 'replay' && now - bookmakerAnalytics.lastSample >= ANALYTICS_SAMPLE_INTERVAL) {
+    recordBookmakerAnalytics(fixtures, now);
+  }
+
+  // Detect EV changes and send WebSocket notifications
+  detectEVChangesAndNotify(matches);
+
+  // Broadcast full update to all connected clients
+  io.emit('full-update', {
+    matches: cachedData.matches,
+    bookmakers: cachedData.bookmakers,
+    lastUpdated: cachedData.lastUpdated,
+    stats: cachedData.stats
+  });
+
+  // Push arbitrage opportunities on their own channel
+  io.emit('arb-opportunities', {
+    arbs: cachedData.arbs.map(arb => calculateArbStakes(arb, ARB_DEFAULT_STAKE)),
+    lastUpdated: cachedData.lastUpdated
+  });
+}
+
+// Incremental refresh: ask LSports only for markets changed since the last
+// server timestamp, merge them into marketsCache and re-evaluate the fixtures
+// they touch. Falls back to a full fetch when there is nothing to build on.
+async function fetchAndApplyDeltas() {
+  if (!oddsBook.lastServerTimestamp || oddsBook.fixtures.length === 0) {
+    return fetchAndCalculateEV();
+  }
+
+  cachedData.isLoading = true;
+  cachedData.error = null;
+
+  try {
+    const now = oddsProvider.now();
+    const fixtures = oddsBook.fixtures.filter(f => new Date(f.startDate) > now);
+    const fixtureById = new Map(fixtures.map(f => [f.fixtureId, f]));
+    const affected = new Set();
+
+    // Fixtures whose batch was deferred have nothing to merge into yet
+    const uncached = fixtures.filter(f => !marketsCache.has(f.fixtureId));
+    if (uncached.length > 0) {
+      const batchResults = await fetchMarketsInBatches(uncached);
+      apiMetadata.lastMarketsBatches = batchResults;
+      uncached.filter(f => marketsCache.has(f.fixtureId)).forEach(f => affected.add(f.fixtureId));
+    }
+
+    const startTime = Date.now();
+    const deltaRes = await oddsProvider.getFixtureMarkets({
+      leagues: oddsBook.targetLeagues,
+      markets: getAllTargetMarketIds(),
+      timestamp: oddsBook.lastServerTimestamp
+    });
+    const events = deltaRes?.Body || [];
+    const responseTimeMs = Date.now() - startTime;
+
+    for (const event of events) {
+      const cached = marketsCache.get(event.FixtureId);
+      if (!fixtureById.has(event.FixtureId) || !cached) continue;
+      mergeMarketDelta(cached.event, event);
+      cached.fetchedAt = Date.now();
+      affected.add(event.FixtureId);
+    }
+
+    apiMetadata.totalApiCalls++;
+    apiMetadata.lastDelta = {
+      timestamp: new Date().toISOString(),
+      sinceServerTimestamp: oddsBook.lastServerTimestamp,
+      serverTimestamp: deltaRes?.Header?.ServerTimestamp,
+      eventCount: events.length,
+      affectedFixtures: affected.size,
+      responseTimeMs
+    };
+    oddsBook.lastServerTimestamp = deltaRes?.Header?.ServerTimestamp || oddsBook.lastServerTimestamp;
+    oddsBook.deltaCount++;
+
+    // Re-evaluate only the fixtures that changed; drop ones that kicked off
+    for (const fixtureId of affected) {
+      fixtureResults.set(fixtureId, evaluateFixture(fixtureById.get(fixtureId), marketsCache.get(fixtureId).event, now));
+    }
+    for (const fixtureId of fixtureResults.keys()) {
+      if (!fixtureById.has(fixtureId)) {
+        fixtureResults.delete(fixtureId);
+        marketsCache.delete(fixtureId);
+      }
+    }
+    oddsBook.fixtures = fixtures;
+
+    console.log(`[LSports] Delta: ${events.length} changed events, ${affected.size} fixtures re-evaluated (${responseTimeMs}ms)`);
+    publishResults(fixtures, 'delta', affected.size, now);
+
+  } catch (error) {
+    console.error('[LSports] Delta error:', error);
+    cachedData.error = error.message;
+    cachedData.isLoading = false;
+  }
+}
+
+// Merge changed markets from a delta event into the cached event in place.
+// Markets, provider markets and bets are matched by Id; anything new is added.
+function mergeMarketDelta(cachedEvent, deltaEvent) {
+  if (!cachedEvent.Markets) cachedEvent.Markets = [];
+
+  for (const deltaMarket of (deltaEvent.Markets || [])) {
+    const market = cachedEvent.Markets.find(m => m.Id === deltaMarket.Id);
+    if (!market) {
+      cachedEvent.Markets.push(deltaMarket);
+      continue;
+    }
+    if (!market.ProviderMarkets) market.ProviderMarkets = [];
+
+    for (const deltaPm of (deltaMarket.ProviderMarkets || [])) {
+      const pm = market.ProviderMarkets.find(p => p.Id === deltaPm.Id);
+      if (!pm) {
+        market.ProviderMarkets.push(deltaPm);
+        continue;
+      }
+      if (!pm.Bets) pm.Bets = [];
+
+      for (const deltaBet of (deltaPm.Bets || [])) {
+        const index = pm.Bets.findIndex(bet => bet.Id === deltaBet.Id);
+        if (index === -1) {
+          pm.Bets.push(deltaBet);
+        } else {
+          pm.Bets[index] = deltaBet;
+        }
+      }
+      pm.LastUpdate = deltaPm.LastUpdate ?? pm.LastUpdate;
+    }
+  }
+}
+
+// ============ DISCOVERY ============
+
+// Room for one more request this window without eating into the reserve
+function hasSpareRequest() {
+  if (oddsProvider.rateLimited === false) return true;
+  rateLimiter.canMakeRequest(); // Prunes requests outside the window
+  return rateLimiter.maxRequests - rateLimiter.requests.length > RATE_LIMIT_RESERVE;
+}
+
+// Hold a background job until a request is spare, so it never takes the
+// reserve from the odds refresh
+async function waitForSpareRequest() {
+  while (!hasSpareRequest()) {
+    await new Promise(resolve => setTimeout(resolve, Math.max(rateLimiter.getWaitTime(), 1000)));
+  }
+}
+
+// Sport key of a raw fixture event - null for sports we don't support
+function getEventSport(e) {
+  const fixture = e.Fixture || e;
+  return getLeagueConfig(fixture.League?.Id)?.sport || getSportKey(fixture.Sport?.Id);
+}
+
+// Record unconfigured leagues from a GetFixtures response. Fixture counts are
+// those of the latest fixture list.
+function recordDiscoveredLeagues(allFixtures, now) {
+  const byLeague = new Map();
+  for (const e of allFixtures) {
+    const leagueId = (e.Fixture || e).League?.Id;
+    if (leagueId === undefined || getLeagueConfig(leagueId)) continue;
+    if (!byLeague.has(leagueId)) byLeague.set(leagueId, []);
+    byLeague.get(leagueId).push(e);
+  }
+
+  for (const [leagueId, events] of byLeague) {
+    const fixture = events[0].Fixture || events[0];
+    const entry = discovery.leagues.get(leagueId) || {
+      leagueId,
+      firstSeen: now.toISOString(),
+      bookmakers: new Set(),
+      marketCount: null
+    };
+    discovery.leagues.set(leagueId, Object.assign(entry, {
+      name: fixture.League?.Name,
+      sportId: fixture.Sport?.Id ?? null,
+      sport: getSportKey(fixture.Sport?.Id),
+      country: fixture.Location?.Name || null,
+      fixtureCount: events.length,
+      sampleFixtures: events.slice(0, DISCOVERY_MAX_SAMPLES).map(e => {
+        const summary = toFixtureSummary(e);
+        return `${summary.home} vs ${summary.away}`;
+      }),
+      lastSeen: now.toISOString()
+    }));
+  }
+}
+
+// Fetch every market of one upcoming fixture per league (unconfigured leagues
+// first) and record unconfigured markets and the bookmaker coverage of
+// unconfigured leagues
+async function sampleUnfilteredMarkets(allFixtures, now) {
+  const byLeague = new Map();
+  for (const e of allFixtures) {
+    const fixture = toFixtureSummary(e);
+    if (!fixture.fixtureId || byLeague.has(fixture.leagueId) || new Date(fixture.startDate) <= now) continue;
+    byLeague.set(fixture.leagueId, { ...fixture, sport: getEventSport(e) });
+  }
+
+  const sample = [...byLeague.values()]
+    .sort((a, b) => Boolean(getLeagueConfig(a.leagueId)) - Boolean(getLeagueConfig(b.leagueId)))
+    .slice(0, DISCOVERY_SAMPLE_FIXTURES);
+  discovery.lastMarketSample = Date.now();
+  if (sample.length === 0) return;
+
+  const response = await oddsProvider.getFixtureMarkets({ fixtureIds: sample.map(f => f.fixtureId) });
+  apiMetadata.totalApiCalls++;
+  const fixtureById = new Map(sample.map(f => [f.fixtureId, f]));
+
+  for (const event of (response?.Body || [])) {
+    const fixture = fixtureById.get(event.FixtureId);
+    if (!fixture) continue;
+    const markets = event.Markets || [];
+
+    const league = discovery.leagues.get(fixture.leagueId);
+    if (league) {
+      markets.forEach(m => (m.ProviderMarkets || []).forEach(pm => league.bookmakers.add(resolveBookmaker(pm.Name))));
+      league.marketCount = markets.length;
+    }
+
+    if (!fixture.sport) continue;
+
+    for (const market of markets) {
+      if (configStore.markets[fixture.sport]?.[market.Id]) continue;
+
+      const key = `${fixture.sport}:${market.Id}`;
+      const entry = discovery.markets.get(key) || {
+        marketId: market.Id,
+        sport: fixture.sport,
+        firstSeen: now.toISOString(),
+        fixtureIds: new Set(),
+        leagueIds: new Set(),
+        bookmakers: new Set(),
+        sampleSelections: [],
+        hasPlayerNames: false,
+        hasPlayerLines: false
+      };
+      entry.name = market.Name || entry.name || null;
+      entry.lastSeen = now.toISOString();
+      entry.fixtureIds.add(event.FixtureId);
+      entry.leagueIds.add(fixture.leagueId);
+
+      for (const pm of (market.ProviderMarkets || [])) {
+        entry.bookmakers.add(resolveBookmaker(pm.Name));
+        for (const bet of (pm.Bets || [])) {
+          if (bet.PlayerName) entry.hasPlayerNames = true;
+          if (bet.PlayerName && bet.Line) entry.hasPlayerLines = true;
+          const label = [bet.PlayerName, bet.Name, bet.Line].filter(Boolean).join(' ');
+          if (entry.sampleSelections.length < DISCOVERY_MAX_SAMPLES && !entry.sampleSelections.includes(label)) {
+            entry.sampleSelections.push(label);
+          }
+        }
+      }
+      discovery.markets.set(key, entry);
+    }
+  }
+
+  console.log(`[Discovery] Sampled all markets of ${sample.length} fixtures: ${discovery.leagues.size} unconfigured leagues, ${discovery.markets.size} unconfigured markets`);
+}
+
+// ============ LIVE (IN-PLAY) ============
+
+let liveData = {
+  matches: [],
+  fixtures: [],
+  lastUpdated: null,
+  error: null,
+  stats: {
+    liveFixtures: 0,
+    suspendedFixtures: 0,
+    totalPositiveEV: 0
+  }
+};
+
+// Last seen score per in-play fixture, to detect score changes between cycles
+const liveScoreState = new Map(); // fixtureId -> { scoreKey, lastScoreChange }
+
+// Home/away score from a Livescore scoreboard (STM Results, or HomeScore/AwayScore)
+function getScoreboardScore(scoreboard = {}) {
+  const result = position => scoreboard.Results?.find(r => String(r.Position) === position)?.Value;
+  return {
+    home: result('1') ?? scoreboard.HomeScore ?? null,
+    away: result('2') ?? scoreboard.AwayScore ?? null
+  };
+}
+
+// In-play state of a live event: score, period and game clock, and whether its
+// markets are suspended - fixture not in play, a danger state, or a score change
+// the books may not have caught up with yet
+function getLiveState(event, now) {
+  const livescore = event.Livescore || {};
+  const scoreboard = livescore.Scoreboard || {};
+  const score = getScoreboardScore(scoreboard);
+  const status = scoreboard.Status ?? (event.Fixture || event).Status;
+
+  const scoreKey = `${score.home}-${score.away}`;
+  const previous = liveScoreState.get(event.FixtureId);
+  const lastScoreChange = previous && previous.scoreKey !== scoreKey
+    ? now.getTime()
+    : previous?.lastScoreChange ?? null;
+  liveScoreState.set(event.FixtureId, { scoreKey, lastScoreChange });
+
+  const dangers = (livescore.DangerIndicators || []).filter(d => d.Status === LIVE_SETTINGS.dangerStatus);
+  const suspendedCategories = [...new Set(dangers.flatMap(d => LIVE_SETTINGS.dangerCategories[d.Type] || []))];
+
+  let suspendReason = null;
+  if (status !== LIVE_SETTINGS.inPlayStatus) {
+    suspendReason = `not in play (status ${status})`;
+  } else if (dangers.some(d => !LIVE_SETTINGS.dangerCategories[d.Type])) {
+    suspendReason = 'danger state';
+  } else if (lastScoreChange && now - lastScoreChange < LIVE_SETTINGS.scoreChangeCooldownMs) {
+    suspendReason = 'score change';
+  }
+
+  const clockSeconds = parseInt(scoreboard.Time);
+  return {
+    status,
+    currentPeriod: scoreboard.CurrentPeriod ?? null,
+    clockSeconds: isNaN(clockSeconds) ? null : clockSeconds,
+    minute: isNaN(clockSeconds) ? null : Math.floor(clockSeconds / 60),
+    score,
+    lastScoreChange: lastScoreChange ? new Date(lastScoreChange).toISOString() : null,
+    suspended: suspendReason !== null,
+    suspendReason,
+    suspendedCategories
+  };
+}
+
+// A market is closed in play when a danger state covers its category, or when
+// it settles on a period that is already over (1st half markets after half-time)
+function isLiveMarketOpen(sport, marketConfig, live) {
+  if (live.suspendedCategories.includes(marketConfig.category)) return false;
+  const openPeriods = SPORTS[sport]?.openPeriods?.[marketConfig.period];
+  return !openPeriods || live.currentPeriod === null || openPeriods.includes(live.currentPeriod);
+}
+
+// One in-play cycle: fetch live events with their markets and scoreboard,
+// evaluate them with the live settings and push the result to the /live channel
+async function fetchAndCalculateLiveEV(leagueIds = null) {
+  if (!oddsProvider.getLiveEvents) {
+    liveData.error = `Odds provider "${oddsProvider.name}" has no in-play source`;
+    return;
+  }
+
+  try {
+    const now = oddsProvider.now();
+    const targetLeagues = leagueIds || getEnabledLeagueIds();
+    const response = await oddsProvider.getLiveEvents({ leagues: targetLeagues, markets: getAllTargetMarketIds() });
+
+    const matches = [];
+    const fixtures = [];
+
+    for (const event of (response?.Body || [])) {
+      const fixture = toFixtureSummary(event);
+      if (!fixture.fixtureId || !targetLeagues.includes(fixture.leagueId)) continue;
+      if (LIVE_SETTINGS.endedStatuses.includes(fixture.status)) continue;
+
+      const live = getLiveState(event, now);
+      const { match } = evaluateFixture(fixture, event, now, live);
+      if (match) matches.push(match);
+
+      fixtures.push({
+        fixtureId: fixture.fixtureId,
+        homeTeam: fixture.home,
+        awayTeam: fixture.away,
+        sport: fixture.sport,
+        league: fixture.league,
+        leagueId: fixture.leagueId,
+        leagueEmoji: fixture.leagueEmoji,
+        live,
+        betCount: match?.betCount || 0
+      });
+    }
+
+    // Forget fixtures that have left the in-play feed
+    const liveIds = new Set(fixtures.map(f => f.fixtureId));
+    for (const fixtureId of liveScoreState.keys()) {
+      if (!liveIds.has(fixtureId)) liveScoreState.delete(fixtureId);
+    }
+
+    matches.sort((a, b) => b.bestEV - a.bestEV);
+    const positiveBets = matches.flatMap(m => m.valueBets).filter(b => b.bestEV > 0);
+
+    liveData = {
+      matches,
+      fixtures,
+      lastUpdated: new Date().toISOString(),
+      error: null,
+      stats: {
+        liveFixtures: fixtures.length,
+        suspendedFixtures: fixtures.filter(f => f.live.suspended).length,
+        totalPositiveEV: positiveBets.length
+      }
+    };
+
+    liveNamespace.emit('live-update', liveData);
+    console.log(`[Live] ${fixtures.length} in-play fixtures (${liveData.stats.suspendedFixtures} suspended), ${positiveBets.length} positive EV`);
+  } catch (error) {
+    console.error('[Live] Error:', error.message);
+    liveData.error = error.message;
+  }
+}
+
+// ============ API ROUTES ============
+
+// Apply the /api/ev-bets query filters (sport, leagues, categories, minEV,
+// maxOdds, minConfidence) to a list of matches
+function filterValueBetMatches(allMatches, query) {
+  const minEV = parseFloat(query.minEV || '0');
+  const maxOdds = parseFloat(query.maxOdds || '10');
+  const minConfidence = parseFloat(query.minConfidence || '0');
+  const categories = query.categories?.split(',') || null;
+  const leagues = query.leagues?.split(',').map(id => parseInt(id)) || null;
+  const sports = query.sport?.split(',') || null;
+
+  let matches = allMatches;
+
+  // Filter by sport
+  if (sports && sports.length > 0) {
+    matches = matches.filter(m => sports.includes(m.sport));
+  }
 
   // Filter by league
   if (leagues && leagues.length > 0) {
@@ -791,7 +2798,7 @@ app.get('/api/ev-bets', (req, res) => {
   }
 
   // Filter bets within matches
-  matches = matches.map(match => {
+  return matches.map(match => {
     let filteredBets = match.valueBets;
 
     // Filter by category
@@ -799,8 +2806,8 @@ app.get('/api/ev-bets', (req, res) => {
       filteredBets = filteredBets.filter(b => categories.includes(b.category));
     }
 
-    // Filter by minEV and maxOdds
-    filteredBets = filteredBets.filter(b => b.bestEV >= minEV && b.bestOdds <= maxOdds);
+    // Filter by minEV, maxOdds and minConfidence
+    filteredBets = filteredBets.filter(b => b.bestEV >= minEV && b.bestOdds <= maxOdds && b.confidence >= minConfidence);
 
     return {
       ...match,
@@ -809,6 +2816,11 @@ app.get('/api/ev-bets', (req, res) => {
       bestEV: filteredBets[0]?.bestEV || 0
     };
   }).filter(m => m.valueBets.length > 0);
+}
+
+// Get all EV bets
+app.get('/api/ev-bets', (req, res) => {
+  const matches = filterValueBetMatches(cachedData.matches, req.query);
 
   res.json({
     success: true,
@@ -821,6 +2833,76 @@ app.get('/api/ev-bets', (req, res) => {
   });
 });
 
+// Get in-play EV opportunities (same filters as /api/ev-bets)
+app.get('/api/live/ev-bets', (req, res) => {
+  if (!LIVE_MODE_ENABLED) {
+    return res.json({ success: false, error: 'Live mode is disabled. Set LIVE_MODE=true to enable it.' });
+  }
+
+  res.json({
+    success: true,
+    matches: filterValueBetMatches(liveData.matches, req.query),
+    fixtures: liveData.fixtures,
+    generatedAt: liveData.lastUpdated,
+    error: liveData.error,
+    stats: liveData.stats
+  });
+});
+
+// Get arbitrage (surebet) opportunities with stake splits for a total stake
+app.get('/api/arbs', (req, res) => {
+  const stake = parseFloat(req.query.stake || String(ARB_DEFAULT_STAKE));
+  const minProfit = parseFloat(req.query.minProfit || '0');
+  const leagues = req.query.leagues?.split(',').map(id => parseInt(id)) || null;
+
+  if (!(stake > 0)) {
+    return res.status(400).json({ success: false, error: 'stake must be a positive number' });
+  }
+
+  let arbs = cachedData.arbs || [];
+
+  if (leagues && leagues.length > 0) {
+    arbs = arbs.filter(a => leagues.includes(a.leagueId));
+  }
+
+  arbs = arbs
+    .filter(a => a.profitPct >= minProfit)
+    .map(a => calculateArbStakes(a, stake));
+
+  res.json({
+    success: true,
+    count: arbs.length,
+    arbs,
+    generatedAt: cachedData.lastUpdated
+  });
+});
+
+// Get middles on totals and handicap markets
+app.get('/api/middles', (req, res) => {
+  const minEV = parseFloat(req.query.minEV || String(MIDDLE_MIN_EV));
+  const minProb = parseFloat(req.query.minProb || '0');
+  const markets = req.query.markets?.split(',').map(id => parseInt(id)) || null;
+  const leagues = req.query.leagues?.split(',').map(id => parseInt(id)) || null;
+
+  let middles = cachedData.middles || [];
+
+  if (leagues && leagues.length > 0) {
+    middles = middles.filter(m => leagues.includes(m.leagueId));
+  }
+  if (markets && markets.length > 0) {
+    middles = middles.filter(m => markets.includes(m.marketId));
+  }
+
+  middles = middles.filter(m => m.combinedEV >= minEV && m.middleProb >= minProb);
+
+  res.json({
+    success: true,
+    count: middles.length,
+    middles,
+    generatedAt: cachedData.lastUpdated
+  });
+});
+
 // Get server status
 app.get('/api/status', (req, res) => {
   res.json({
@@ -829,6 +2911,12 @@ app.get('/api/status', (req, res) => {
     isLoading: cachedData.isLoading,
     error: cachedData.error,
     stats: cachedData.stats,
+    live: {
+      enabled: LIVE_MODE_ENABLED,
+      lastUpdated: liveData.lastUpdated,
+      error: liveData.error,
+      stats: liveData.stats
+    },
     uptime: process.uptime()
   });
 });
@@ -897,8 +2985,18 @@ app.get('/api/health', async (req, res) => {
 
 // Force refresh
 app.post('/api/refresh', async (req, res) => {
+  // Never overlaps a scheduled refresh, which shares oddsBook and marketsCache
+  if (refreshInProgress) {
+    return res.status(409).json({ success: false, error: 'A refresh is already running' });
+  }
+
   const leagues = req.body.leagues || null;
-  await fetchAndCalculateEV(leagues);
+  refreshInProgress = true;
+  try {
+    await fetchAndCalculateEV(leagues);
+  } finally {
+    refreshInProgress = false;
+  }
   res.json({
     success: true,
     message: 'Refresh complete',
@@ -909,37 +3007,160 @@ app.post('/api/refresh', async (req, res) => {
 
 // Get available leagues
 app.get('/api/leagues', (req, res) => {
+  const sport = req.query.sport || null;
+  if (sport && !SPORTS[sport]) {
+    return res.status(400).json({ success: false, error: `Unknown sport '${sport}'. Use one of: ${Object.keys(SPORTS).join(', ')}` });
+  }
+
   res.json({
     success: true,
-    leagues: Object.entries(LSPORTS_LEAGUES).map(([id, config]) => ({
-      id: parseInt(id),
-      ...config
-    }))
+    leagues: Object.entries(configStore.leagues)
+      .filter(([, config]) => !sport || config.sport === sport)
+      .map(([id, config]) => ({
+        id: parseInt(id),
+        ...config
+      }))
   });
 });
 
-// Get available markets
+// Get available markets, per sport
 app.get('/api/markets', (req, res) => {
+  const sport = req.query.sport || null;
+  if (sport && !SPORTS[sport]) {
+    return res.status(400).json({ success: false, error: `Unknown sport '${sport}'. Use one of: ${Object.keys(SPORTS).join(', ')}` });
+  }
+
   res.json({
     success: true,
-    markets: Object.entries(LSPORTS_TARGET_MARKETS).map(([id, config]) => ({
-      id: parseInt(id),
-      ...config
-    }))
+    markets: Object.entries(configStore.markets)
+      .filter(([key]) => !sport || key === sport)
+      .flatMap(([key, markets]) => Object.entries(markets).map(([id, config]) => ({
+        id: parseInt(id),
+        sport: key,
+        ...config
+      })))
   });
 });
 
+// Get de-vig method settings
+app.get('/api/settings/devig', (req, res) => {
+  res.json({ success: true, methods: DEVIG_METHODS, settings: devigSettings });
+});
+
+// Update de-vig methods (applies from the next refresh)
+app.put('/api/settings/devig', (req, res) => {
+  const { defaultMethod, byCategory } = req.body;
+  const requested = [defaultMethod, ...Object.values(byCategory || {})].filter(m => m !== undefined);
+  const invalid = requested.filter(m => !DEVIG_METHODS.includes(m));
+
+  if (invalid.length > 0) {
+    return res.status(400).json({ success: false, error: `Invalid method: ${invalid.join(', ')}. Use: ${DEVIG_METHODS.join(', ')}` });
+  }
+
+  devigSettings = {
+    defaultMethod: defaultMethod || devigSettings.defaultMethod,
+    byCategory: { ...devigSettings.byCategory, ...(byCategory || {}) }
+  };
+
+  console.log(`[Settings] De-vig methods updated: default=${devigSettings.defaultMethod}`);
+  res.json({ success: true, settings: devigSettings });
+});
+
+// Get bookmaker weighting profile used for the fair-probability consensus
+app.get('/api/bookmaker-weights', (req, res) => {
+  res.json({ success: true, profile: bookmakerWeightProfile });
+});
+
+// Update bookmaker weighting profile (applies from the next refresh)
+app.put('/api/bookmaker-weights', (req, res) => {
+  const { sharpBooks, sharpWeight, defaultWeight, weights, useSharpnessScores } = req.body;
+
+  if (sharpBooks !== undefined && !Array.isArray(sharpBooks)) {
+    return res.status(400).json({ success: false, error: 'sharpBooks must be an array of bookmaker names' });
+  }
+  if (useSharpnessScores !== undefined && typeof useSharpnessScores !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'useSharpnessScores must be a boolean' });
+  }
+
+  const numbers = [sharpWeight, defaultWeight, ...Object.values(weights || {})].filter(w => w !== undefined);
+  if (numbers.some(w => typeof w !== 'number' || w < 0)) {
+    return res.status(400).json({ success: false, error: 'Weights must be non-negative numbers' });
+  }
+
+  bookmakerWeightProfile = {
+    sharpBooks: sharpBooks ?? bookmakerWeightProfile.sharpBooks,
+    sharpWeight: sharpWeight ?? bookmakerWeightProfile.sharpWeight,
+    defaultWeight: defaultWeight ?? bookmakerWeightProfile.defaultWeight,
+    weights: { ...bookmakerWeightProfile.weights, ...(weights || {}) },
+    useSharpnessScores: useSharpnessScores ?? bookmakerWeightProfile.useSharpnessScores
+  };
+
+  console.log(`[Settings] Bookmaker weights updated: sharp=${bookmakerWeightProfile.sharpBooks.join(', ')}`);
+  res.json({ success: true, profile: bookmakerWeightProfile });
+});
+
+// Get stake sizing settings
+app.get('/api/settings/staking', (req, res) => {
+  res.json({ success: true, settings: stakingSettings });
+});
+
+// Update stake sizing settings - recommended stakes in the cache are recalculated
+app.put('/api/settings/staking', (req, res) => {
+  const { bankroll, unitSize, kellyMultiplier, maxStakePct, maxStake, categoryCaps } = req.body;
+
+  // Only maxStake can be cleared with null - the rest feed straight into calculateKellyStake
+  const numbers = [bankroll, unitSize, kellyMultiplier, maxStakePct, ...Object.values(categoryCaps || {})]
+    .filter(v => v !== undefined);
+  if (numbers.some(v => typeof v !== 'number' || v < 0) || (maxStake !== undefined && maxStake !== null && !(maxStake > 0))) {
+    return res.status(400).json({ success: false, error: 'Staking settings must be non-negative numbers' });
+  }
+  // Stakes are sized from the bankroll and shown in units - neither can be zero
+  if ((bankroll !== undefined && !(bankroll > 0)) || (unitSize !== undefined && !(unitSize > 0))) {
+    return res.status(400).json({ success: false, error: 'bankroll and unitSize must be greater than 0' });
+  }
+
+  stakingSettings = {
+    ...stakingSettings,
+    ...Object.fromEntries(Object.entries({ bankroll, unitSize, kellyMultiplier, maxStakePct, maxStake })
+      .filter(([, v]) => v !== undefined)),
+    categoryCaps: { ...stakingSettings.categoryCaps, ...(categoryCaps || {}) }
+  };
+
+  for (const match of cachedData.matches) {
+    for (const bet of match.valueBets) {
+      const kellyProb = getKellyProbability({ fairProb: bet.fairProb / 100, odds: bet.bestOdds, ev: bet.bestEV, quarterLine: bet.quarterLine });
+      Object.assign(bet, calculateKellyStake(kellyProb, bet.bestOdds, bet.category));
+    }
+  }
+  refreshBalanceWarnings();
+
+  console.log(`[Settings] Staking updated: bankroll=${stakingSettings.bankroll}, kelly x${stakingSettings.kellyMultiplier}`);
+  res.json({ success: true, settings: stakingSettings });
+});
+
 // Debug endpoint - API metadata and performance stats
 app.get('/api/debug', (req, res) => {
   res.json({
     success: true,
     apiMetadata: {
       ...apiMetadata,
+      provider: oddsProvider.name,
       fixtureCacheAge: fixtureCache.lastUpdated
         ? Math.round((Date.now() - new Date(fixtureCache.lastUpdated).getTime()) / 1000) + 's'
         : null,
       fixtureCacheTTL: fixtureCache.ttlMs / 1000 + 's',
-      cachedFixtureCount: fixtureCache.fixtures.length
+      cachedFixtureCount: fixtureCache.fixtures.length,
+      marketsCacheSize: marketsCache.size,
+      marketsBatchSize: MARKETS_BATCH_SIZE
+    },
+    deltaUpdates: {
+      enabled: DELTA_UPDATES_ENABLED,
+      intervalMs: DELTA_UPDATES_ENABLED ? DELTA_REFRESH_INTERVAL : null,
+      fullResyncIntervalMs: FULL_RESYNC_INTERVAL,
+      lastServerTimestamp: oddsBook.lastServerTimestamp,
+      lastFullSync: oddsBook.lastFullSync ? new Date(oddsBook.lastFullSync).toISOString() : null,
+      deltaCount: oddsBook.deltaCount,
+      trackedFixtures: oddsBook.fixtures.length
     },
     healthStatus,
     rateLimit: {
@@ -971,6 +3192,7 @@ app.get('/api/admin/websocket', (req, res) => {
         notifyEVIncrease: prefs.notifyEVIncrease,
         notifyEVDrop: prefs.notifyEVDrop,
         minEVThreshold: prefs.minEVThreshold,
+        minConfidence: prefs.minConfidence,
         evChangeThreshold: prefs.evChangeThreshold
       }
     });
@@ -1080,22 +3302,11 @@ app.get('/api/scores', async (req, res) => {
   const { fixtureIds, fromDate, toDate } = req.query;
 
   try {
-    // Build request body
-    const body = { ...LSPORTS_CREDS };
-
-    if (fixtureIds) {
-      body.Fixtures = fixtureIds.split(',').map(id => parseInt(id.trim()));
-    }
-    if (fromDate) {
-      body.FromDate = fromDate;
-    }
-    if (toDate) {
-      body.ToDate = toDate;
-    }
-
-    // The STM API doesn't have a dedicated GetScores endpoint,
-    // but we can get scores from GetFixtures with finished status
-    const response = await fetchLSports('/PreMatch/GetFixtures', body);
+    const response = await oddsProvider.getScores({
+      fixtureIds: fixtureIds ? fixtureIds.split(',').map(id => parseInt(id.trim())) : undefined,
+      fromDate,
+      toDate
+    });
     const events = response?.Body || [];
 
     // Extract score information
@@ -1115,8 +3326,7 @@ app.get('/api/scores', async (req, res) => {
           home: fixture.Participants?.find(p => p.Position === "1" || p.Position === 1)?.Name,
           away: fixture.Participants?.find(p => p.Position === "2" || p.Position === 2)?.Name,
           score: {
-            home: scoreboard.HomeScore || null,
-            away: scoreboard.AwayScore || null,
+            ...getScoreboardScore(scoreboard),
             status: scoreboard.Status,
             currentPeriod: scoreboard.CurrentPeriod
           },
@@ -1442,164 +3652,1401 @@ app.get('/api/investigate-nba', async (req, res) => {
     const nbaFixturesText = await nbaFixturesRes.text();
     const nbaFixturesData = nbaFixturesText ? JSON.parse(nbaFixturesText) : { error: 'Empty response' };
 
-    const basketballFixtures = nbaFixturesData.Body || [];
-    results.nbaFixtures = basketballFixtures.length;
+    const basketballFixtures = nbaFixturesData.Body || [];
+    results.nbaFixtures = basketballFixtures.length;
+
+    if (basketballFixtures.length > 0) {
+      results.sampleFixture = {
+        FixtureId: basketballFixtures[0].FixtureId,
+        Teams: basketballFixtures[0].Fixture?.Participants?.map(p => p.Name),
+        StartDate: basketballFixtures[0].Fixture?.StartDate,
+        League: basketballFixtures[0].Fixture?.League
+      };
+      results.basketballFixtures = basketballFixtures.length;
+
+      // Find unique leagues in basketball fixtures
+      if (basketballFixtures.length > 0) {
+        const leagues = {};
+        basketballFixtures.forEach(f => {
+          const league = f.Fixture?.League || f.League;
+          if (league) {
+            leagues[league.Id] = league.Name;
+          }
+        });
+        results.basketballLeagues = leagues;
+        results.sampleBasketballFixture = basketballFixtures[0];
+
+        // Step 2: Get markets for basketball fixtures
+        results.steps.push({ step: 2, name: 'Getting markets for basketball fixtures' });
+
+        const fixtureIds = basketballFixtures.slice(0, 5).map(f => f.FixtureId);
+        results.fixtureIds = fixtureIds;
+
+        // Try 1: No market filter
+        const marketsBody1 = {
+          ...LSPORTS_CREDS,
+          FixtureIds: fixtureIds
+        };
+
+        const marketsRes1 = await fetch(LSPORTS_API_BASE + '/PreMatch/GetFixtureMarkets', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(marketsBody1)
+        });
+        const marketsText1 = await marketsRes1.text();
+        const marketsData1 = marketsText1 ? JSON.parse(marketsText1) : { error: 'Empty response' };
+
+        results.attempt1_noFilter = {
+          bodyLength: marketsData1.Body?.length || 0,
+          marketsPerEvent: marketsData1.Body?.[0]?.Markets?.length || 0,
+          header: marketsData1.Header
+        };
+
+        // Try 2: With common basketball market IDs (Moneyline=1, Spread=3, Total=2, etc)
+        const basketballMarketIds = [1, 2, 3, 64, 65, 77, 202, 342, 835, 836];
+        const marketsBody2 = {
+          ...LSPORTS_CREDS,
+          FixtureIds: fixtureIds,
+          Markets: basketballMarketIds
+        };
+
+        const marketsRes2 = await fetch(LSPORTS_API_BASE + '/PreMatch/GetFixtureMarkets', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(marketsBody2)
+        });
+        const marketsText2 = await marketsRes2.text();
+        const marketsData2 = marketsText2 ? JSON.parse(marketsText2) : { error: 'Empty response' };
+
+        results.attempt2_withMarketIds = {
+          requestedMarkets: basketballMarketIds,
+          bodyLength: marketsData2.Body?.length || 0,
+          marketsPerEvent: marketsData2.Body?.[0]?.Markets?.length || 0,
+          header: marketsData2.Header
+        };
+
+        // Try 3: Check if markets are embedded in fixture itself
+        results.attempt3_checkFixtureData = {
+          hasMarketsInFixture: !!basketballFixtures[0]?.Markets,
+          marketsLength: basketballFixtures[0]?.Markets?.length || 0
+        };
+
+        // Try 4: Check different endpoint - GetEvents
+        const eventsBody = {
+          ...LSPORTS_CREDS,
+          Events: fixtureIds
+        };
+
+        const eventsRes = await fetch(LSPORTS_API_BASE + '/PreMatch/GetEvents', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(eventsBody)
+        });
+        const eventsText = await eventsRes.text();
+        let eventsData = null;
+        try {
+          eventsData = eventsText ? JSON.parse(eventsText) : null;
+        } catch (e) {
+          eventsData = { parseError: e.message, rawLength: eventsText?.length };
+        }
+
+        results.attempt4_getEvents = {
+          bodyLength: eventsData?.Body?.length || 0,
+          hasMarkets: !!eventsData?.Body?.[0]?.Markets,
+          marketsLength: eventsData?.Body?.[0]?.Markets?.length || 0,
+          header: eventsData?.Header,
+          sampleMarkets: eventsData?.Body?.[0]?.Markets?.slice(0, 5)?.map(m => ({
+            id: m.Id,
+            name: m.Name,
+            betsCount: m.Bets?.length || 0
+          }))
+        };
+
+        // Try 5: Check raw fixture data for any odds info
+        const rawFixture = basketballFixtures[0];
+        results.rawFixtureKeys = Object.keys(rawFixture || {});
+        if (rawFixture?.Fixture) {
+          results.rawFixtureInnerKeys = Object.keys(rawFixture.Fixture);
+        }
+
+        // If any attempt has markets, show them
+        if (marketsData2.Body?.[0]?.Markets?.length > 0) {
+          results.sampleMarkets = marketsData2.Body[0].Markets.slice(0, 10).map(m => ({
+            id: m.Id,
+            name: m.Name,
+            betsCount: m.Bets?.length || 0,
+            sampleBets: m.Bets?.slice(0, 3)?.map(b => ({
+              name: b.Name,
+              line: b.Line,
+              providersCount: b.Providers?.length || 0,
+              sampleOdds: b.Providers?.slice(0, 3)?.map(p => ({
+                bookmaker: p.Name,
+                odds: p.Bets?.[0]?.Price
+              }))
+            }))
+          }));
+        }
+      }
+    }
+
+    res.json({ success: true, ...results });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ LEAGUE & MARKET CONFIG ============
+
+const toLeagueRow = (leagueId, config) => ({
+  league_id: parseInt(leagueId),
+  name: config.name,
+  country: config.country,
+  emoji: config.emoji,
+  tier: config.tier,
+  sport: config.sport,
+  enabled: config.enabled,
+  updated_at: new Date().toISOString()
+});
+
+const toMarketRow = (sport, marketId, config) => ({
+  sport,
+  market_id: parseInt(marketId),
+  name: config.name,
+  category: config.category,
+  is_player_prop: config.isPlayerProp,
+  player_lines: config.playerLines,
+  period: config.period,
+  enabled: config.enabled,
+  updated_at: new Date().toISOString()
+});
+
+// Load the league/market store from Supabase. An empty table is seeded with the
+// built-in defaults; if Supabase is unreachable the defaults stay in use.
+async function loadConfigStore() {
+  try {
+    const [leaguesRes, marketsRes] = await Promise.all([
+      supabase.from('config_leagues').select('*'),
+      supabase.from('config_markets').select('*')
+    ]);
+    if (leaguesRes.error) throw leaguesRes.error;
+    if (marketsRes.error) throw marketsRes.error;
+
+    // Empty tables are seeded with the defaults - except by a replay, which
+    // never writes to Supabase
+    if (leaguesRes.data.length > 0) {
+      configStore.leagues = Object.fromEntries(leaguesRes.data.map(row => [row.league_id, toLeagueConfig(row)]));
+    } else if (!REPLAY_COMMAND_DIR) {
+      const rows = Object.entries(configStore.leagues).map(([id, config]) => toLeagueRow(id, config));
+      const { error } = await supabase.from('config_leagues').upsert(rows);
+      if (error) throw error;
+      console.log(`[Config] Seeded config_leagues with ${rows.length} default leagues`);
+    }
+
+    if (marketsRes.data.length > 0) {
+      configStore.markets = Object.fromEntries(Object.keys(SPORTS).map(sport => [sport, {}]));
+      for (const row of marketsRes.data) {
+        if (!configStore.markets[row.sport]) continue;
+        configStore.markets[row.sport][row.market_id] = toMarketConfig({
+          ...row,
+          isPlayerProp: row.is_player_prop,
+          playerLines: row.player_lines
+        });
+      }
+    } else if (!REPLAY_COMMAND_DIR) {
+      const rows = Object.entries(configStore.markets)
+        .flatMap(([sport, markets]) => Object.entries(markets).map(([id, config]) => toMarketRow(sport, id, config)));
+      const { error } = await supabase.from('config_markets').upsert(rows);
+      if (error) throw error;
+      console.log(`[Config] Seeded config_markets with ${rows.length} default markets`);
+    }
+
+    configStore.source = 'supabase';
+    console.log(`[Config] Loaded ${Object.keys(configStore.leagues).length} leagues and ${getAllTargetMarketIds().length} enabled markets`);
+  } catch (error) {
+    console.error('[Config] Could not load league/market config, using defaults:', error.message);
+  }
+}
+
+// Persist a league / market config, then apply it to the store
+async function saveLeagueConfig(leagueId, config) {
+  const { error } = await supabase.from('config_leagues').upsert(toLeagueRow(leagueId, config));
+  if (error) throw new Error(error.message);
+  configStore.leagues[leagueId] = config;
+}
+
+async function saveMarketConfig(sport, marketId, config) {
+  const { error } = await supabase.from('config_markets').upsert(toMarketRow(sport, marketId, config));
+  if (error) throw new Error(error.message);
+  configStore.markets[sport][marketId] = config;
+}
+
+// Keep only the editable fields of an admin payload
+const pickFields = (body, fields) => Object.fromEntries(fields
+  .filter(field => body?.[field] !== undefined)
+  .map(field => [field, body[field]]));
+
+function validateLeagueConfig(config) {
+  if (!config.name) return 'name is required';
+  if (!SPORTS[config.sport]) return `Unknown sport '${config.sport}'. Use one of: ${Object.keys(SPORTS).join(', ')}`;
+  if (!Number.isInteger(config.tier) || config.tier < 1) return 'tier must be a positive integer';
+  if (typeof config.enabled !== 'boolean') return 'enabled must be true or false';
+  return null;
+}
+
+function validateMarketConfig(config) {
+  if (!config.name) return 'name is required';
+  if (!config.category) return 'category is required';
+  if (typeof config.isPlayerProp !== 'boolean' || typeof config.playerLines !== 'boolean') {
+    return 'isPlayerProp and playerLines must be true or false';
+  }
+  if (config.period !== null && !(Number.isInteger(config.period) && config.period > 0)) return 'period must be a positive integer or null';
+  if (typeof config.enabled !== 'boolean') return 'enabled must be true or false';
+  return null;
+}
+
+// List league configuration
+app.get('/api/admin/leagues', (req, res) => {
+  res.json({
+    success: true,
+    source: configStore.source,
+    leagues: Object.entries(configStore.leagues).map(([id, config]) => ({ id: parseInt(id), ...config }))
+  });
+});
+
+// Add a league (LSports league ID + config)
+app.post('/api/admin/leagues', async (req, res) => {
+  const leagueId = parseInt(req.body.id);
+  if (isNaN(leagueId)) {
+    return res.status(400).json({ success: false, error: 'id (LSports league ID) is required' });
+  }
+  if (configStore.leagues[leagueId]) {
+    return res.status(400).json({ success: false, error: `League ${leagueId} already exists - use PUT to update it` });
+  }
+
+  const config = toLeagueConfig(pickFields(req.body, LEAGUE_CONFIG_FIELDS));
+  const invalid = validateLeagueConfig(config);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+  try {
+    await saveLeagueConfig(leagueId, config);
+    console.log(`[Config] Added league ${leagueId} (${config.name})`);
+    res.json({ success: true, league: { id: leagueId, ...config } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Update a league - enable/disable, tier, emoji, ...
+app.put('/api/admin/leagues/:id', async (req, res) => {
+  const leagueId = parseInt(req.params.id);
+  const current = configStore.leagues[leagueId];
+  if (!current) return res.status(404).json({ success: false, error: 'League not found' });
+
+  const config = { ...current, ...pickFields(req.body, LEAGUE_CONFIG_FIELDS) };
+  const invalid = validateLeagueConfig(config);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+  try {
+    await saveLeagueConfig(leagueId, config);
+    console.log(`[Config] Updated league ${leagueId} (${config.name}${config.enabled ? '' : ', disabled'})`);
+    res.json({ success: true, league: { id: leagueId, ...config } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Remove a league
+app.delete('/api/admin/leagues/:id', async (req, res) => {
+  const leagueId = parseInt(req.params.id);
+  if (!configStore.leagues[leagueId]) return res.status(404).json({ success: false, error: 'League not found' });
+
+  try {
+    const { error } = await supabase.from('config_leagues').delete().eq('league_id', leagueId);
+    if (error) return res.json({ success: false, error: error.message });
+
+    delete configStore.leagues[leagueId];
+    console.log(`[Config] Deleted league ${leagueId}`);
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// List market configuration
+app.get('/api/admin/markets', (req, res) => {
+  res.json({
+    success: true,
+    source: configStore.source,
+    markets: Object.entries(configStore.markets).flatMap(([sport, markets]) =>
+      Object.entries(markets).map(([id, config]) => ({ id: parseInt(id), sport, ...config })))
+  });
+});
+
+// Add a market to a sport
+app.post('/api/admin/markets', async (req, res) => {
+  const marketId = parseInt(req.body.id);
+  const sport = req.body.sport || 'football';
+  if (isNaN(marketId)) {
+    return res.status(400).json({ success: false, error: 'id (LSports market ID) is required' });
+  }
+  if (!SPORTS[sport]) {
+    return res.status(400).json({ success: false, error: `Unknown sport '${sport}'. Use one of: ${Object.keys(SPORTS).join(', ')}` });
+  }
+  if (configStore.markets[sport][marketId]) {
+    return res.status(400).json({ success: false, error: `Market ${marketId} already exists for ${sport} - use PUT to update it` });
+  }
+
+  const config = toMarketConfig(pickFields(req.body, MARKET_CONFIG_FIELDS));
+  const invalid = validateMarketConfig(config);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+  try {
+    await saveMarketConfig(sport, marketId, config);
+    console.log(`[Config] Added ${sport} market ${marketId} (${config.name})`);
+    res.json({ success: true, market: { id: marketId, sport, ...config } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Update a market - enable/disable, category, player-prop flags, ...
+app.put('/api/admin/markets/:sport/:id', async (req, res) => {
+  const { sport } = req.params;
+  const marketId = parseInt(req.params.id);
+  const current = configStore.markets[sport]?.[marketId];
+  if (!current) return res.status(404).json({ success: false, error: 'Market not found' });
+
+  const config = { ...current, ...pickFields(req.body, MARKET_CONFIG_FIELDS) };
+  const invalid = validateMarketConfig(config);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+  try {
+    await saveMarketConfig(sport, marketId, config);
+    console.log(`[Config] Updated ${sport} market ${marketId} (${config.name}${config.enabled ? '' : ', disabled'})`);
+    res.json({ success: true, market: { id: marketId, sport, ...config } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Remove a market
+app.delete('/api/admin/markets/:sport/:id', async (req, res) => {
+  const { sport } = req.params;
+  const marketId = parseInt(req.params.id);
+  if (!configStore.markets[sport]?.[marketId]) return res.status(404).json({ success: false, error: 'Market not found' });
+
+  try {
+    const { error } = await supabase.from('config_markets').delete().eq('sport', sport).eq('market_id', marketId);
+    if (error) return res.json({ success: false, error: error.message });
+
+    delete configStore.markets[sport][marketId];
+    console.log(`[Config] Deleted ${sport} market ${marketId}`);
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Leagues and markets seen in LSports data that are not configured yet
+app.get('/api/admin/discovery', (req, res) => {
+  const sport = req.query.sport || null;
+
+  const leagues = [...discovery.leagues.values()]
+    .filter(l => !getLeagueConfig(l.leagueId) && (!sport || l.sport === sport))
+    .map(({ bookmakers, ...league }) => ({ ...league, bookmakerCount: bookmakers.size, bookmakers: [...bookmakers].sort() }))
+    .sort((a, b) => b.fixtureCount - a.fixtureCount);
+
+  const markets = [...discovery.markets.values()]
+    .filter(m => !configStore.markets[m.sport]?.[m.marketId] && (!sport || m.sport === sport))
+    .map(({ fixtureIds, leagueIds, bookmakers, ...market }) => ({
+      ...market,
+      fixtureCount: fixtureIds.size,
+      leagueCount: leagueIds.size,
+      bookmakerCount: bookmakers.size,
+      bookmakers: [...bookmakers].sort()
+    }))
+    .sort((a, b) => (b.fixtureCount - a.fixtureCount) || (b.bookmakerCount - a.bookmakerCount));
+
+  res.json({
+    success: true,
+    lastMarketSample: discovery.lastMarketSample ? new Date(discovery.lastMarketSample).toISOString() : null,
+    sampleIntervalMs: DISCOVERY_SAMPLE_INTERVAL,
+    leagues,
+    markets
+  });
+});
+
+// Add a discovered league to the active config (body may override name, tier, emoji, ...)
+app.post('/api/admin/discovery/leagues/:id/enable', async (req, res) => {
+  const leagueId = parseInt(req.params.id);
+  const found = discovery.leagues.get(leagueId);
+  if (!found) return res.status(404).json({ success: false, error: 'League not in the discovery report' });
+  if (getLeagueConfig(leagueId)) {
+    return res.status(400).json({ success: false, error: `League ${leagueId} is already configured` });
+  }
+
+  // Leagues of unsupported sports have no sport - don't let them default to football
+  const sport = req.body.sport ?? found.sport;
+  if (!SPORTS[sport]) {
+    return res.status(400).json({ success: false, error: `League ${leagueId} needs a sport: ${Object.keys(SPORTS).join(', ')}` });
+  }
+
+  const config = toLeagueConfig({
+    name: found.name,
+    country: found.country,
+    sport: found.sport,
+    ...pickFields(req.body, LEAGUE_CONFIG_FIELDS),
+    enabled: true
+  });
+  const invalid = validateLeagueConfig(config);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+  try {
+    await saveLeagueConfig(leagueId, config);
+    discovery.leagues.delete(leagueId);
+    console.log(`[Discovery] Enabled league ${leagueId} (${config.name})`);
+    res.json({ success: true, league: { id: leagueId, ...config } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Add a discovered market to the active config (body should set its category)
+app.post('/api/admin/discovery/markets/:sport/:id/enable', async (req, res) => {
+  const { sport } = req.params;
+  const marketId = parseInt(req.params.id);
+  const found = discovery.markets.get(`${sport}:${marketId}`);
+  if (!found) return res.status(404).json({ success: false, error: 'Market not in the discovery report' });
+  if (configStore.markets[sport]?.[marketId]) {
+    return res.status(400).json({ success: false, error: `Market ${marketId} is already configured for ${sport}` });
+  }
+
+  const config = toMarketConfig({
+    name: found.name,
+    category: 'Other',
+    isPlayerProp: found.hasPlayerNames,
+    playerLines: found.hasPlayerLines,
+    ...pickFields(req.body, MARKET_CONFIG_FIELDS),
+    enabled: true
+  });
+  const invalid = validateMarketConfig(config);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+  try {
+    await saveMarketConfig(sport, marketId, config);
+    discovery.markets.delete(`${sport}:${marketId}`);
+    console.log(`[Discovery] Enabled ${sport} market ${marketId} (${config.name})`);
+    res.json({ success: true, market: { id: marketId, sport, ...config } });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ BOOKMAKER ALIASES ============
+
+const toAliasRow = entry => ({
+  alias: entry.alias.toLowerCase(),
+  match_type: entry.matchType,
+  canonical: entry.canonical,
+  region: entry.region,
+  licence: entry.licence,
+  updated_at: new Date().toISOString()
+});
+
+// Load the alias registry from Supabase, seeding an empty table with the defaults
+async function loadBookmakerAliases() {
+  try {
+    const { data, error } = await supabase.from('bookmaker_aliases').select('*');
+    if (error) throw error;
+
+    // A replay never writes to Supabase, so it doesn't seed an empty table
+    if (data.length > 0) {
+      setBookmakerAliases(data.map(row => ({ ...row, matchType: row.match_type })));
+    } else if (!REPLAY_COMMAND_DIR) {
+      const rows = [...bookmakerRegistry.aliases.values()].map(toAliasRow);
+      const { error: seedError } = await supabase.from('bookmaker_aliases').upsert(rows);
+      if (seedError) throw seedError;
+      console.log(`[Bookmakers] Seeded bookmaker_aliases with ${rows.length} default aliases`);
+    }
+
+    bookmakerRegistry.source = 'supabase';
+    console.log(`[Bookmakers] Loaded ${bookmakerRegistry.aliases.size} bookmaker aliases`);
+  } catch (error) {
+    console.error('[Bookmakers] Could not load bookmaker aliases, using defaults:', error.message);
+  }
+}
+
+function validateBookmakerAlias(entry) {
+  if (!entry.alias) return 'alias is required';
+  if (!entry.canonical) return 'canonical is required';
+  if (!BOOKMAKER_MATCH_TYPES.includes(entry.matchType)) return `matchType must be one of: ${BOOKMAKER_MATCH_TYPES.join(', ')}`;
+  return null;
+}
+
+// Persist an alias, then apply it (takes effect from the next refresh)
+async function saveBookmakerAlias(entry) {
+  const { error } = await supabase.from('bookmaker_aliases').upsert(toAliasRow(entry));
+  if (error) throw new Error(error.message);
+  bookmakerRegistry.aliases.set(entry.alias.toLowerCase(), entry);
+
+  // Unknown names this alias now covers are no longer up for review
+  for (const name of bookmakerRegistry.unknown.keys()) {
+    if (findBookmakerAlias(name)) bookmakerRegistry.unknown.delete(name);
+  }
+
+  // Ledger balances are keyed by canonical name
+  await loadBankrollBalances();
+}
+
+const BOOKMAKER_ALIAS_FIELDS = ['alias', 'matchType', 'canonical', 'region', 'licence'];
+
+// List aliases and the provider names none of them matches
+app.get('/api/admin/bookmaker-aliases', (req, res) => {
+  res.json({
+    success: true,
+    source: bookmakerRegistry.source,
+    settings: bookmakerSettings,
+    aliases: [...bookmakerRegistry.aliases.values()].sort((a, b) => a.canonical.localeCompare(b.canonical)),
+    unknown: [...bookmakerRegistry.unknown.entries()]
+      .map(([name, seen]) => ({ name, ...seen }))
+      .sort((a, b) => b.count - a.count)
+  });
+});
+
+// Add an alias: { alias, canonical, matchType?, region?, licence? }
+app.post('/api/admin/bookmaker-aliases', async (req, res) => {
+  const entry = toBookmakerAlias(pickFields(req.body, BOOKMAKER_ALIAS_FIELDS));
+  const invalid = validateBookmakerAlias(entry);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+  if (bookmakerRegistry.aliases.has(entry.alias.toLowerCase())) {
+    return res.status(400).json({ success: false, error: `Alias '${entry.alias}' already exists - use PUT to update it` });
+  }
+
+  try {
+    await saveBookmakerAlias(entry);
+    console.log(`[Bookmakers] Added alias ${entry.alias} -> ${entry.canonical}`);
+    res.json({ success: true, alias: entry });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Update an alias - canonical name, match type, region, licence
+app.put('/api/admin/bookmaker-aliases/:alias', async (req, res) => {
+  const current = bookmakerRegistry.aliases.get(req.params.alias.toLowerCase());
+  if (!current) return res.status(404).json({ success: false, error: 'Alias not found' });
+
+  const { alias, ...changes } = pickFields(req.body, BOOKMAKER_ALIAS_FIELDS);
+  const entry = { ...current, ...changes };
+  const invalid = validateBookmakerAlias(entry);
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+
+  try {
+    await saveBookmakerAlias(entry);
+    console.log(`[Bookmakers] Updated alias ${entry.alias} -> ${entry.canonical}`);
+    res.json({ success: true, alias: entry });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Remove an alias
+app.delete('/api/admin/bookmaker-aliases/:alias', async (req, res) => {
+  const key = req.params.alias.toLowerCase();
+  if (!bookmakerRegistry.aliases.has(key)) return res.status(404).json({ success: false, error: 'Alias not found' });
+
+  try {
+    const { error } = await supabase.from('bookmaker_aliases').delete().eq('alias', key);
+    if (error) return res.json({ success: false, error: error.message });
+
+    bookmakerRegistry.aliases.delete(key);
+    await loadBankrollBalances();
+    console.log(`[Bookmakers] Deleted alias ${key}`);
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Get bookmaker display settings
+app.get('/api/settings/bookmakers', (req, res) => {
+  res.json({ success: true, settings: bookmakerSettings });
+});
+
+// Merge regional variants into one bookmaker or keep them apart (applies from the next refresh)
+app.put('/api/settings/bookmakers', (req, res) => {
+  const { mergeRegionalVariants } = req.body;
+  if (typeof mergeRegionalVariants !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'mergeRegionalVariants must be true or false' });
+  }
+
+  bookmakerSettings = { ...bookmakerSettings, mergeRegionalVariants };
+  console.log(`[Settings] Regional bookmaker variants ${mergeRegionalVariants ? 'merged' : 'kept separate'}`);
+  res.json({ success: true, settings: bookmakerSettings });
+});
+
+// ============ BOOKMAKER CATALOG ============
+
+// Refresh the provider catalog from GetProviders
+async function syncProviderCatalog() {
+  try {
+    const response = await oddsProvider.getProviders();
+    const providers = response?.Body?.Providers || response?.Body || [];
+    if (!Array.isArray(providers)) throw new Error('Unexpected GetProviders response');
+
+    providerCatalog.providers = new Map(providers
+      .filter(p => p.Id !== undefined && p.Name)
+      .map(p => [p.Id, { id: p.Id, name: p.Name, isActive: p.IsActive ?? p.Active ?? true }]));
+    providerCatalog.lastSync = new Date().toISOString();
+    providerCatalog.error = null;
+    apiMetadata.totalApiCalls++;
+    console.log(`[Bookmakers] Synced ${providerCatalog.providers.size} providers from GetProviders`);
+  } catch (error) {
+    console.error('[Bookmakers] Provider catalog sync failed:', error.message);
+    providerCatalog.error = error.message;
+  }
+}
+
+// Per-bookmaker coverage over the current prematch results: fixtures and markets
+// quoted, selections priced (outlier/stale prices excluded) and best-price share
+function getBookmakerCoverage() {
+  const coverage = new Map();
+  const entry = name => {
+    if (!coverage.has(name)) coverage.set(name, { fixtures: 0, markets: 0, selections: 0, bestPriceCount: 0 });
+    return coverage.get(name);
+  };
+
+  for (const result of fixtureResults.values()) {
+    for (const [bookmaker, marketCount] of Object.entries(result.bookmakerMarkets || {})) {
+      entry(bookmaker).fixtures++;
+      entry(bookmaker).markets += marketCount;
+    }
+    for (const bet of (result.match?.valueBets || [])) {
+      // Merged regional variants each leave a price under the same name -
+      // the book priced the selection once
+      const pricedBy = new Set(bet.allBookmakers.filter(bm => !bm.suspect).map(bm => bm.bookmaker));
+      for (const bookmaker of pricedBy) {
+        entry(bookmaker).selections++;
+        if (bookmaker === bet.bestBookmaker) entry(bookmaker).bestPriceCount++;
+      }
+    }
+  }
+
+  for (const stats of coverage.values()) {
+    stats.bestPriceShare = stats.selections > 0
+      ? parseFloat((stats.bestPriceCount / stats.selections * 100).toFixed(1))
+      : 0;
+  }
+  return coverage;
+}
+
+// Bookmaker catalog joined to the alias registry, with coverage stats.
+// Providers are grouped under their display name, so merged regional variants
+// share one entry; bookmakers seen in odds but missing from the catalog are included.
+app.get('/api/bookmakers', (req, res) => {
+  const coverage = getBookmakerCoverage();
+  const books = new Map();
+  const book = (name, alias) => {
+    if (!books.has(name)) {
+      books.set(name, {
+        name,
+        canonical: alias?.canonical || name,
+        region: alias?.region || null,
+        licence: alias?.licence || null,
+        hasAlias: Boolean(alias),
+        providers: []
+      });
+    }
+    return books.get(name);
+  };
+
+  for (const provider of providerCatalog.providers.values()) {
+    const alias = findBookmakerAlias(provider.name);
+    book(getBookmakerDisplayName(provider.name, alias), alias).providers.push(provider);
+  }
+  for (const name of coverage.keys()) {
+    if (!books.has(name)) book(name, findBookmakerAlias(name));
+  }
+
+  const bookmakers = [...books.values()]
+    .map(b => ({
+      ...b,
+      inCatalog: b.providers.length > 0,
+      isActive: b.providers.some(p => p.isActive),
+      coverage: coverage.get(b.name) || { fixtures: 0, markets: 0, selections: 0, bestPriceCount: 0, bestPriceShare: 0 }
+    }))
+    .sort((a, b) => (b.coverage.fixtures - a.coverage.fixtures) || a.name.localeCompare(b.name));
+
+  res.json({
+    success: true,
+    catalog: {
+      providerCount: providerCatalog.providers.size,
+      lastSync: providerCatalog.lastSync,
+      error: providerCatalog.error
+    },
+    fixtureCount: fixtureResults.size,
+    bookmakers
+  });
+});
+
+// ============ BOOKMAKER ANALYTICS ============
+
+const evBucketLabels = ANALYTICS_EV_BUCKETS.map((edge, i) => (i === 0 ? `< ${edge}%` : `${ANALYTICS_EV_BUCKETS[i - 1]}% to ${edge}%`))
+  .concat(`>= ${ANALYTICS_EV_BUCKETS[ANALYTICS_EV_BUCKETS.length - 1]}%`);
+
+// Sample every bookmaker's prices on the current fixtures into this hour's
+// bucket: position vs the median price, EV vs the fair consensus, best price
+// and overround per category
+function recordBookmakerAnalytics(fixtures, now) {
+  const hour = new Date(now);
+  hour.setUTCMinutes(0, 0, 0);
+  const hourKey = hour.toISOString();
+
+  const bucket = (fixture, bookmaker) => {
+    const key = `${hourKey}|${fixture.leagueId}|${bookmaker}`;
+    if (!bookmakerAnalytics.buckets.has(key)) {
+      bookmakerAnalytics.buckets.set(key, {
+        hour: hourKey,
+        leagueId: fixture.leagueId,
+        league: fixture.league,
+        sport: fixture.sport,
+        bookmaker,
+        selections: 0,
+        belowMedian: 0,
+        atMedian: 0,
+        aboveMedian: 0,
+        bestPrice: 0,
+        positiveEV: 0,
+        evHistogram: new Array(evBucketLabels.length).fill(0),
+        overround: {} // category -> { sum, count }
+      });
+    }
+    return bookmakerAnalytics.buckets.get(key);
+  };
+
+  for (const fixture of fixtures) {
+    const result = fixtureResults.get(fixture.fixtureId);
+    if (!result) continue;
+
+    for (const [bookmaker, byCategory] of Object.entries(result.bookmakerOverrounds || {})) {
+      const overround = bucket(fixture, bookmaker).overround;
+      for (const [category, { sum, count }] of Object.entries(byCategory)) {
+        if (!overround[category]) overround[category] = { sum: 0, count: 0 };
+        overround[category].sum += sum;
+        overround[category].count += count;
+      }
+    }
+
+    for (const bet of (result.match?.valueBets || [])) {
+      const clean = bet.allBookmakers.filter(bm => !bm.suspect);
+      const median = calculateMedian(clean.map(bm => bm.odds));
+
+      for (const bm of clean) {
+        const stats = bucket(fixture, bm.bookmaker);
+        stats.selections++;
+        if (Math.abs(bm.odds - median) < 0.005) stats.atMedian++;
+        else if (bm.odds < median) stats.belowMedian++;
+        else stats.aboveMedian++;
+        if (bm.bookmaker === bet.bestBookmaker) stats.bestPrice++;
+        if (bm.ev > 0) stats.positiveEV++;
+
+        const index = ANALYTICS_EV_BUCKETS.findIndex(edge => bm.ev < edge);
+        stats.evHistogram[index === -1 ? ANALYTICS_EV_BUCKETS.length : index]++;
+      }
+    }
+  }
+
+  // Drop buckets past the retention period
+  const cutoff = now - ANALYTICS_RETENTION_HOURS * 3600000;
+  for (const [key, stats] of bookmakerAnalytics.buckets) {
+    if (new Date(stats.hour) < cutoff) bookmakerAnalytics.buckets.delete(key);
+  }
+
+  bookmakerAnalytics.lastSample = now.getTime();
+  saveBookmakerAnalytics(hourKey, cutoff);
+}
+
+const toAnalyticsRow = stats => ({
+  hour: stats.hour,
+  league_id: stats.leagueId,
+  league: stats.league,
+  sport: stats.sport,
+  bookmaker: stats.bookmaker,
+  selections: stats.selections,
+  below_median: stats.belowMedian,
+  at_median: stats.atMedian,
+  above_median: stats.aboveMedian,
+  best_price: stats.bestPrice,
+  positive_ev: stats.positiveEV,
+  ev_histogram: stats.evHistogram,
+  overround: stats.overround
+});
+
+// Write this hour's buckets and drop stored hours past the retention period
+async function saveBookmakerAnalytics(hourKey, cutoff) {
+  const rows = [...bookmakerAnalytics.buckets.values()].filter(stats => stats.hour === hourKey).map(toAnalyticsRow);
+
+  try {
+    if (rows.length > 0) {
+      const { error } = await supabase.from('bookmaker_analytics').upsert(rows);
+      if (error) throw error;
+    }
+
+    const { error } = await supabase
+      .from('bookmaker_analytics')
+      .delete()
+      .lt('hour', new Date(cutoff).toISOString());
+    if (error) throw error;
+  } catch (error) {
+    console.error('[Analytics] Error saving bookmaker samples:', error.message);
+  }
+}
+
+// Load the stored hours inside the retention period, so a restart keeps them
+async function loadBookmakerAnalytics() {
+  try {
+    const since = new Date(Date.now() - ANALYTICS_RETENTION_HOURS * 3600000).toISOString();
+    const rows = await fetchAllRows(() => supabase
+      .from('bookmaker_analytics')
+      .select('*')
+      .gte('hour', since)
+      .order('hour', { ascending: true })
+      .order('league_id', { ascending: true })
+      .order('bookmaker', { ascending: true }));
+
+    for (const row of rows) {
+      const hour = new Date(row.hour).toISOString();
+      bookmakerAnalytics.buckets.set(`${hour}|${row.league_id}|${row.bookmaker}`, {
+        hour,
+        leagueId: row.league_id,
+        league: row.league,
+        sport: row.sport,
+        bookmaker: row.bookmaker,
+        selections: row.selections,
+        belowMedian: row.below_median,
+        atMedian: row.at_median,
+        aboveMedian: row.above_median,
+        bestPrice: row.best_price,
+        positiveEV: row.positive_ev,
+        evHistogram: evBucketLabels.map((_, i) => row.ev_histogram?.[i] || 0),
+        overround: row.overround || {}
+      });
+    }
+
+    console.log(`[Analytics] Loaded ${rows.length} hourly bookmaker samples`);
+  } catch (error) {
+    console.error('[Analytics] Could not load bookmaker samples:', error.message);
+  }
+}
+
+const toPct = (count, total) => (total > 0 ? parseFloat((count / total * 100).toFixed(1)) : 0);
+
+// Bookmaker margin and positioning vs the market, sliceable by league/sport and
+// time window (?hours=24, or ?from=&to= ISO times). Shares are % of priced selections.
+app.get('/api/analytics/bookmakers', (req, res) => {
+  const leagues = req.query.leagues?.split(',').map(id => parseInt(id)) || null;
+  const bookmakers = req.query.bookmakers?.split(',') || null;
+  const sport = req.query.sport || null;
+  const hours = parseFloat(req.query.hours || '24');
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - hours * 3600000);
+
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    return res.status(400).json({ success: false, error: 'Invalid time window - use hours, or from/to ISO dates with from before to' });
+  }
+
+  const totals = new Map();
+
+  for (const stats of bookmakerAnalytics.buckets.values()) {
+    const hourStart = new Date(stats.hour);
+    if (hourStart.getTime() + 3600000 <= from || hourStart > to) continue;
+    if (leagues && !leagues.includes(stats.leagueId)) continue;
+    if (sport && stats.sport !== sport) continue;
+    if (bookmakers && !bookmakers.includes(stats.bookmaker)) continue;
+
+    if (!totals.has(stats.bookmaker)) {
+      totals.set(stats.bookmaker, {
+        selections: 0, belowMedian: 0, atMedian: 0, aboveMedian: 0, bestPrice: 0, positiveEV: 0,
+        evHistogram: new Array(evBucketLabels.length).fill(0),
+        overround: {},
+        leagues: new Set()
+      });
+    }
+    const total = totals.get(stats.bookmaker);
+    ['selections', 'belowMedian', 'atMedian', 'aboveMedian', 'bestPrice', 'positiveEV'].forEach(f => { total[f] += stats[f]; });
+    stats.evHistogram.forEach((count, i) => { total.evHistogram[i] += count; });
+    for (const [category, { sum, count }] of Object.entries(stats.overround)) {
+      if (!total.overround[category]) total.overround[category] = { sum: 0, count: 0 };
+      total.overround[category].sum += sum;
+      total.overround[category].count += count;
+    }
+    total.leagues.add(stats.leagueId);
+  }
+
+  const report = [...totals.entries()].map(([bookmaker, t]) => ({
+    bookmaker,
+    selections: t.selections,
+    leagueCount: t.leagues.size,
+    avgOverround: Object.fromEntries(Object.entries(t.overround)
+      .map(([category, { sum, count }]) => [category, parseFloat((sum / count * 100).toFixed(2))])),
+    vsMedian: {
+      below: toPct(t.belowMedian, t.selections),
+      at: toPct(t.atMedian, t.selections),
+      above: toPct(t.aboveMedian, t.selections)
+    },
+    evDistribution: evBucketLabels.map((range, i) => ({ range, share: toPct(t.evHistogram[i], t.selections) })),
+    bestPriceShare: toPct(t.bestPrice, t.selections),
+    positiveEVShare: toPct(t.positiveEV, t.selections)
+  })).sort((a, b) => (b.positiveEVShare - a.positiveEVShare) || (b.bestPriceShare - a.bestPriceShare));
+
+  res.json({
+    success: true,
+    window: { from: from.toISOString(), to: to.toISOString() },
+    sampleIntervalMs: ANALYTICS_SAMPLE_INTERVAL,
+    lastSample: bookmakerAnalytics.lastSample ? new Date(bookmakerAnalytics.lastSample).toISOString() : null,
+    bookmakers: report
+  });
+});
+
+// ============ BOOKMAKER SHARPNESS ============
+
+// Last stored fair probability per book and selection - prices are only written
+// when they move, the scoring job forward-fills the gaps
+const lastBookPrices = new Map(); // `${fixtureId}|${marketId}|${selection}|${line}|${bookmaker}` -> { fairProb, kickoff }
+
+// Snapshot every trusted book's de-vigged probability on score-settled markets
+// for fixtures kicking off soon
+async function saveBookmakerPrices() {
+  const now = new Date();
+  const cutoffTime = new Date(now.getTime() + BOOK_PRICE_SNAPSHOT_HOURS * 60 * 60 * 1000);
+  const rows = [];
+
+  for (const match of cachedData.matches) {
+    const kickoff = new Date(match.kickoff);
+    if (kickoff <= now || kickoff > cutoffTime) continue;
+
+    for (const bet of match.valueBets) {
+      if (!SCORE_SETTLED_MARKETS[bet.marketId]) continue;
+
+      for (const bm of bet.allBookmakers) {
+        if (bm.suspect || bm.fairProb === null) continue;
+
+        const key = `${match.fixtureId}|${bet.marketId}|${bet.selection}|${bet.line}|${bm.bookmaker}`;
+        if (lastBookPrices.get(key)?.fairProb === bm.fairProb) continue;
+        lastBookPrices.set(key, { fairProb: bm.fairProb, kickoff });
+
+        rows.push({
+          fixture_id: match.fixtureId,
+          kickoff: match.kickoff,
+          league_id: match.leagueId,
+          sport: match.sport,
+          market_id: bet.marketId,
+          category: bet.category,
+          selection: bet.selection,
+          line: bet.line || null,
+          bookmaker: bm.bookmaker,
+          price: Math.min(bm.odds, 999.99),
+          fair_prob: bm.fairProb,
+          captured_at: now.toISOString()
+        });
+      }
+    }
+  }
+
+  for (const [key, { kickoff }] of lastBookPrices) {
+    if (kickoff <= now) lastBookPrices.delete(key);
+  }
+
+  if (rows.length === 0) return;
+
+  const batchSize = 500;
+  let inserted = 0;
+
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    const { error } = await supabase.from('bookmaker_prices').insert(batch);
+
+    if (error) {
+      console.error(`[Sharpness] Error inserting price batch:`, error.message);
+    } else {
+      inserted += batch.length;
+    }
+  }
+
+  console.log(`[Sharpness] Saved ${inserted} bookmaker price changes`);
+}
+
+// Stored prices of fixtures kicking off in [from, to)
+function fetchBookmakerPrices(from, to) {
+  return fetchAllRows(() => supabase
+    .from('bookmaker_prices')
+    .select('fixture_id, market_id, category, selection, line, bookmaker, fair_prob, captured_at')
+    .gte('kickoff', from.toISOString())
+    .lt('kickoff', to.toISOString())
+    .order('id', { ascending: true }));
+}
+
+// Statistics of a Livescore (or one of its periods) keyed by type
+const toStatCounts = statistics => Object.fromEntries((statistics || []).map(st => [st.Type, getScoreboardScore(st)]));
 
-    if (basketballFixtures.length > 0) {
-      results.sampleFixture = {
-        FixtureId: basketballFixtures[0].FixtureId,
-        Teams: basketballFixtures[0].Fixture?.Participants?.map(p => p.Name),
-        StartDate: basketballFixtures[0].Fixture?.StartDate,
-        League: basketballFixtures[0].Fixture?.League
+// Scores of finished fixtures never change, so each is only requested once.
+// Kept for the sharpness lookback, the longest any caller asks about a fixture.
+const finishedScores = new Map(); // fixtureId -> { score, fetchedAt }
+const FINISHED_SCORE_TTL = (SHARPNESS_SETTINGS.lookbackDays + 1) * 24 * 60 * 60 * 1000;
+
+// Fixture status with the score and statistics (full time and per period)
+async function fetchFixtureScores(fixtureIds) {
+  const scores = new Map();
+  const now = Date.now();
+
+  for (const [fixtureId, cached] of finishedScores) {
+    if (now - cached.fetchedAt > FINISHED_SCORE_TTL) finishedScores.delete(fixtureId);
+  }
+
+  const missing = [];
+  for (const fixtureId of fixtureIds) {
+    const cached = finishedScores.get(fixtureId);
+    if (cached) scores.set(fixtureId, cached.score);
+    else missing.push(fixtureId);
+  }
+
+  for (let i = 0; i < missing.length; i += SCORES_BATCH_SIZE) {
+    await waitForSpareRequest();
+    const response = await oddsProvider.getScores({ fixtureIds: missing.slice(i, i + SCORES_BATCH_SIZE) });
+
+    for (const e of (response?.Body || [])) {
+      const livescore = e.Livescore || {};
+      const score = {
+        status: (e.Fixture || e).Status,
+        ...getScoreboardScore(livescore.Scoreboard),
+        stats: toStatCounts(livescore.Statistics),
+        periods: Object.fromEntries((livescore.Periods || []).map(p => [p.Type, {
+          ...getScoreboardScore(p),
+          stats: toStatCounts(p.Statistics)
+        }]))
       };
-      results.basketballFixtures = basketballFixtures.length;
+      scores.set(e.FixtureId, score);
+      if (score.status === 3) finishedScores.set(e.FixtureId, { score, fetchedAt: now });
+    }
+  }
 
-      // Find unique leagues in basketball fixtures
-      if (basketballFixtures.length > 0) {
-        const leagues = {};
-        basketballFixtures.forEach(f => {
-          const league = f.Fixture?.League || f.League;
-          if (league) {
-            leagues[league.Id] = league.Name;
-          }
-        });
-        results.basketballLeagues = leagues;
-        results.sampleBasketballFixture = basketballFixtures[0];
+  return scores;
+}
 
-        // Step 2: Get markets for basketball fixtures
-        results.steps.push({ step: 2, name: 'Getting markets for basketball fixtures' });
+const newSharpnessTotals = () => ({ samples: 0, logLoss: 0, brier: 0 });
+
+// Score one batch of stored prices into the running per-book totals:
+// log-loss / Brier of each book's last pre-kickoff probability against the
+// result, and whether the book moved before, with or after the consensus
+function scoreBookmakerPrices(rows, scores, totals) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.fixture_id}|${row.market_id}|${row.selection}|${row.line}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
 
-        const fixtureIds = basketballFixtures.slice(0, 5).map(f => f.FixtureId);
-        results.fixtureIds = fixtureIds;
+  const threshold = SHARPNESS_SETTINGS.moveThreshold;
+  const bookTotals = bookmaker => {
+    if (!totals.has(bookmaker)) {
+      totals.set(bookmaker, { ...newSharpnessTotals(), byCategory: {}, leads: 0, lags: 0, concurrent: 0 });
+    }
+    return totals.get(bookmaker);
+  };
+  let settled = 0;
 
-        // Try 1: No market filter
-        const marketsBody1 = {
-          ...LSPORTS_CREDS,
-          FixtureIds: fixtureIds
-        };
+  for (const group of groups.values()) {
+    const { fixture_id: fixtureId, market_id: marketId, category, selection, line } = group[0];
 
-        const marketsRes1 = await fetch(LSPORTS_API_BASE + '/PreMatch/GetFixtureMarkets', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(marketsBody1)
-        });
-        const marketsText1 = await marketsRes1.text();
-        const marketsData1 = marketsText1 ? JSON.parse(marketsText1) : { error: 'Empty response' };
+    // Forward-filled probability (in points) per book at every capture time
+    const times = [...new Set(group.map(r => r.captured_at))].sort();
+    const series = new Map();
+    for (const row of group) {
+      if (!series.has(row.bookmaker)) series.set(row.bookmaker, new Array(times.length).fill(null));
+      series.get(row.bookmaker)[times.indexOf(row.captured_at)] = row.fair_prob;
+    }
+    for (const values of series.values()) {
+      for (let k = 1; k < values.length; k++) {
+        if (values[k] === null) values[k] = values[k - 1];
+      }
+    }
 
-        results.attempt1_noFilter = {
-          bodyLength: marketsData1.Body?.length || 0,
-          marketsPerEvent: marketsData1.Body?.[0]?.Markets?.length || 0,
-          header: marketsData1.Header
-        };
+    // Accuracy of the closing probability
+    const score = scores.get(fixtureId);
+    const outcome = score?.status === 3 // Status 3 = finished
+      ? resolveSelectionOutcome(marketId, selection, line, score) : null;
+    if (outcome === 'won' || outcome === 'lost') {
+      const y = outcome === 'won' ? 1 : 0;
+      settled++;
+
+      for (const [bookmaker, values] of series) {
+        const p = Math.min(Math.max(values[values.length - 1] / 100, 0.001), 0.999);
+        const logLoss = -(y * Math.log(p) + (1 - y) * Math.log(1 - p));
+        const brier = (p - y) ** 2;
+
+        const book = bookTotals(bookmaker);
+        if (!book.byCategory[category]) book.byCategory[category] = newSharpnessTotals();
+        for (const t of [book, book.byCategory[category]]) {
+          t.samples++;
+          t.logLoss += logLoss;
+          t.brier += brier;
+        }
+      }
+    }
 
-        // Try 2: With common basketball market IDs (Moneyline=1, Spread=3, Total=2, etc)
-        const basketballMarketIds = [1, 2, 3, 64, 65, 77, 202, 342, 835, 836];
-        const marketsBody2 = {
-          ...LSPORTS_CREDS,
-          FixtureIds: fixtureIds,
-          Markets: basketballMarketIds
-        };
+    // Lead / lag against consensus moves
+    const consensus = times.map((_, k) => calculateMedian([...series.values()].map(v => v[k]).filter(v => v !== null)));
+    for (let k = 1; k < times.length; k++) {
+      const move = consensus[k] - consensus[k - 1];
+      if (!(Math.abs(move) >= threshold)) continue;
+      const direction = Math.sign(move);
+
+      for (const [bookmaker, values] of series) {
+        if (values[k] === null) continue;
+        const moved = j => j >= 1 && j < values.length && values[j - 1] !== null &&
+          (values[j] - values[j - 1]) * direction >= threshold / 2;
+
+        const book = bookTotals(bookmaker);
+        if (moved(k - 1)) book.leads++;
+        else if (moved(k)) book.concurrent++;
+        else if (moved(k + 1)) book.lags++;
+      }
+    }
+  }
 
-        const marketsRes2 = await fetch(LSPORTS_API_BASE + '/PreMatch/GetFixtureMarkets', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(marketsBody2)
-        });
-        const marketsText2 = await marketsRes2.text();
-        const marketsData2 = marketsText2 ? JSON.parse(marketsText2) : { error: 'Empty response' };
+  return { settled };
+}
 
-        results.attempt2_withMarketIds = {
-          requestedMarkets: basketballMarketIds,
-          bodyLength: marketsData2.Body?.length || 0,
-          marketsPerEvent: marketsData2.Body?.[0]?.Markets?.length || 0,
-          header: marketsData2.Header
-        };
+// Averages per book, and a consensus weight for books with enough settled
+// selections: the default weight scaled by the log-loss edge over the median book
+function summarizeSharpness(totals) {
+  const average = t => ({
+    samples: t.samples,
+    logLoss: t.samples > 0 ? parseFloat((t.logLoss / t.samples).toFixed(4)) : null,
+    brier: t.samples > 0 ? parseFloat((t.brier / t.samples).toFixed(4)) : null
+  });
 
-        // Try 3: Check if markets are embedded in fixture itself
-        results.attempt3_checkFixtureData = {
-          hasMarketsInFixture: !!basketballFixtures[0]?.Markets,
-          marketsLength: basketballFixtures[0]?.Markets?.length || 0
-        };
+  const bookmakers = {};
+  for (const [bookmaker, t] of totals) {
+    const moves = t.leads + t.lags + t.concurrent;
+    bookmakers[bookmaker] = {
+      ...average(t),
+      byCategory: Object.fromEntries(Object.entries(t.byCategory).map(([category, c]) => [category, average(c)])),
+      leads: t.leads,
+      lags: t.lags,
+      concurrent: t.concurrent,
+      leadShare: toPct(t.leads, moves),
+      weight: null
+    };
+  }
 
-        // Try 4: Check different endpoint - GetEvents
-        const eventsBody = {
-          ...LSPORTS_CREDS,
-          Events: fixtureIds
-        };
+  const qualified = Object.values(bookmakers).filter(b => b.samples >= SHARPNESS_SETTINGS.minSamples);
+  const referenceLogLoss = calculateMedian(qualified.map(b => b.logLoss));
+  for (const b of qualified) {
+    const edge = (referenceLogLoss - b.logLoss) / referenceLogLoss;
+    const weight = bookmakerWeightProfile.defaultWeight * Math.exp(SHARPNESS_SETTINGS.weightScale * edge);
+    b.weight = parseFloat(Math.min(Math.max(weight, SHARPNESS_SETTINGS.minWeight), bookmakerWeightProfile.sharpWeight).toFixed(2));
+  }
 
-        const eventsRes = await fetch(LSPORTS_API_BASE + '/PreMatch/GetEvents', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(eventsBody)
-        });
-        const eventsText = await eventsRes.text();
-        let eventsData = null;
-        try {
-          eventsData = eventsText ? JSON.parse(eventsText) : null;
-        } catch (e) {
-          eventsData = { parseError: e.message, rawLength: eventsText?.length };
-        }
+  return bookmakers;
+}
 
-        results.attempt4_getEvents = {
-          bodyLength: eventsData?.Body?.length || 0,
-          hasMarkets: !!eventsData?.Body?.[0]?.Markets,
-          marketsLength: eventsData?.Body?.[0]?.Markets?.length || 0,
-          header: eventsData?.Header,
-          sampleMarkets: eventsData?.Body?.[0]?.Markets?.slice(0, 5)?.map(m => ({
-            id: m.Id,
-            name: m.Name,
-            betsCount: m.Bets?.length || 0
-          }))
-        };
+const toSharpnessRow = ([bookmaker, b], computedAt) => ({
+  bookmaker,
+  samples: b.samples,
+  log_loss: b.logLoss,
+  brier: b.brier,
+  by_category: b.byCategory,
+  leads: b.leads,
+  lags: b.lags,
+  concurrent: b.concurrent,
+  lead_share: b.leadShare,
+  weight: b.weight,
+  computed_at: computedAt
+});
 
-        // Try 5: Check raw fixture data for any odds info
-        const rawFixture = basketballFixtures[0];
-        results.rawFixtureKeys = Object.keys(rawFixture || {});
-        if (rawFixture?.Fixture) {
-          results.rawFixtureInnerKeys = Object.keys(rawFixture.Fixture);
-        }
+// Score every book over the lookback window, one kickoff day at a time.
+// Fixtures need a few hours after kickoff before they're finished.
+async function runSharpnessJob() {
+  if (sharpnessScores.running) return false;
+  sharpnessScores.running = true;
+  console.log(`[Sharpness] Scoring bookmakers over the last ${SHARPNESS_SETTINGS.lookbackDays} days...`);
 
-        // If any attempt has markets, show them
-        if (marketsData2.Body?.[0]?.Markets?.length > 0) {
-          results.sampleMarkets = marketsData2.Body[0].Markets.slice(0, 10).map(m => ({
-            id: m.Id,
-            name: m.Name,
-            betsCount: m.Bets?.length || 0,
-            sampleBets: m.Bets?.slice(0, 3)?.map(b => ({
-              name: b.Name,
-              line: b.Line,
-              providersCount: b.Providers?.length || 0,
-              sampleOdds: b.Providers?.slice(0, 3)?.map(p => ({
-                bookmaker: p.Name,
-                odds: p.Bets?.[0]?.Price
-              }))
-            }))
-          }));
-        }
-      }
+  try {
+    const day = 24 * 60 * 60 * 1000;
+    const end = Date.now() - 3 * 60 * 60 * 1000;
+    const totals = new Map();
+    let fixtures = 0;
+    let selections = 0;
+
+    for (let from = end - SHARPNESS_SETTINGS.lookbackDays * day; from < end; from += day) {
+      const rows = await fetchBookmakerPrices(new Date(from), new Date(Math.min(from + day, end)));
+      if (rows.length === 0) continue;
+
+      const scores = await fetchFixtureScores([...new Set(rows.map(r => r.fixture_id))]);
+      selections += scoreBookmakerPrices(rows, scores, totals).settled;
+      fixtures += [...scores.values()].filter(sc => sc.status === 3).length;
     }
 
-    res.json({ success: true, ...results });
+    const bookmakers = summarizeSharpness(totals);
+    const computedAt = new Date().toISOString();
+
+    const rows = Object.entries(bookmakers).map(entry => toSharpnessRow(entry, computedAt));
+    if (rows.length > 0) {
+      const { error } = await supabase.from('bookmaker_sharpness').upsert(rows);
+      if (error) console.error('[Sharpness] Error saving scores:', error.message);
+      else await supabase.from('bookmaker_sharpness').delete().lt('computed_at', computedAt);
+    }
+
+    // Prices older than the lookback window are never scored again
+    const { error: cleanupError } = await supabase
+      .from('bookmaker_prices')
+      .delete()
+      .lt('kickoff', new Date(end - SHARPNESS_SETTINGS.lookbackDays * day).toISOString());
+    if (cleanupError) console.error('[Sharpness] Cleanup error:', cleanupError.message);
+
+    sharpnessScores = { ...sharpnessScores, bookmakers, computedAt, fixtures, selections, error: null };
+    console.log(`[Sharpness] Scored ${Object.keys(bookmakers).length} bookmakers on ${selections} settled selections (${fixtures} fixtures)`);
+    return true;
   } catch (error) {
-    res.json({ success: false, error: error.message });
+    sharpnessScores.error = error.message;
+    console.error('[Sharpness] Error:', error.message);
+    return false;
+  } finally {
+    sharpnessScores.running = false;
+  }
+}
+
+// Load the last computed scores so weights are available before the next run
+async function loadSharpnessScores() {
+  try {
+    const { data, error } = await supabase.from('bookmaker_sharpness').select('*');
+    if (error) throw error;
+
+    sharpnessScores.bookmakers = Object.fromEntries(data.map(row => [row.bookmaker, {
+      samples: row.samples,
+      logLoss: row.log_loss,
+      brier: row.brier,
+      byCategory: row.by_category || {},
+      leads: row.leads,
+      lags: row.lags,
+      concurrent: row.concurrent,
+      leadShare: row.lead_share,
+      weight: row.weight
+    }]));
+    sharpnessScores.computedAt = data[0]?.computed_at || null;
+    console.log(`[Sharpness] Loaded scores for ${data.length} bookmakers`);
+  } catch (error) {
+    console.error('[Sharpness] Could not load bookmaker scores:', error.message);
+  }
+}
+
+// Bookmaker sharpness: log-loss / Brier of closing probabilities against results
+// (lower is sharper) and how often each book leads or lags consensus line moves.
+// ?category= reports the accuracy of one market category
+app.get('/api/analytics/sharpness', (req, res) => {
+  const { category } = req.query;
+  const minSamples = parseInt(req.query.minSamples || '0');
+
+  const report = Object.entries(sharpnessScores.bookmakers)
+    .map(([bookmaker, b]) => {
+      const accuracy = category ? b.byCategory[category] : b;
+      return {
+        bookmaker,
+        samples: accuracy?.samples || 0,
+        logLoss: accuracy?.logLoss ?? null,
+        brier: accuracy?.brier ?? null,
+        ...(!category && { byCategory: b.byCategory }),
+        leads: b.leads,
+        lags: b.lags,
+        concurrent: b.concurrent,
+        leadShare: b.leadShare,
+        weight: b.weight
+      };
+    })
+    .filter(b => b.samples > 0 && b.samples >= minSamples)
+    .sort((a, b) => a.logLoss - b.logLoss);
+
+  res.json({
+    success: true,
+    computedAt: sharpnessScores.computedAt,
+    running: sharpnessScores.running,
+    error: sharpnessScores.error,
+    usedAsWeights: bookmakerWeightProfile.useSharpnessScores,
+    settings: SHARPNESS_SETTINGS,
+    bookmakers: report
+  });
+});
+
+// Rescore now instead of waiting for the daily run
+app.post('/api/admin/sharpness/run', async (req, res) => {
+  if (sharpnessScores.running) {
+    return res.status(409).json({ success: false, error: 'Sharpness job already running' });
   }
+
+  // Scoring a full lookback takes many rate-limited requests - poll
+  // /api/analytics/sharpness for the result
+  runSharpnessJob();
+  res.json({ success: true, started: true });
 });
 
 // ============ BET TRACKING ============
 
+const BET_RESULTS = ['won', 'lost', 'half_won', 'half_lost', 'void', 'push', 'pending'];
+
+// Profit of a bet for a result - void / push returns the stake, and the half
+// results of quarter lines win or lose half of it (the other half is returned)
+function calculateBetProfit(bet, result) {
+  if (result === 'won') return bet.stake_amount * (bet.odds - 1);
+  if (result === 'lost') return -bet.stake_amount;
+  if (result === 'half_won') return bet.stake_amount / 2 * (bet.odds - 1);
+  if (result === 'half_lost') return -bet.stake_amount / 2;
+  return 0;
+}
+
+// Expected profit of a settled bet: stake x EV at placement. Voided and
+// pushed bets risked nothing, so they expect nothing.
+function getExpectedProfit(bet) {
+  if (bet.result === 'void' || bet.result === 'push') return 0;
+  return (bet.stake_amount || 0) * (bet.ev_at_placement || 0) / 100;
+}
+
+// Whether a tracked bet is on a quarter line (split over the two nearest lines)
+function isQuarterLineBet(bet) {
+  const lineType = SCORE_SETTLED_MARKETS[bet.market_id]?.type;
+  return ['totals', 'handicap'].includes(lineType) && isQuarterLine(parseFloat(bet.line));
+}
+
 // Track a new bet
 app.post('/api/bets', async (req, res) => {
   try {
     const {
       fixtureId, homeTeam, awayTeam, league, kickoff,
       marketId, marketName, selection, line,
-      odds, fairOdds, ev, stakeUnits, stakeAmount, bookmaker
+      odds, fairOdds, ev, stakeUnits, stakeAmount, bookmaker,
+      sport = 'football'
     } = req.body;
 
     if (!fixtureId || !marketId || !selection || !odds) {
       return res.json({ success: false, error: 'Missing required fields' });
     }
 
+    // Default the stake from the Kelly recommendation when the client omits it
+    let units = stakeUnits ?? null;
+    let amount = stakeAmount ?? null;
+    if (units === null && amount === null && fairOdds) {
+      const quarterLine = isQuarterLineBet({ market_id: marketId, line });
+      const kelly = calculateKellyStake(
+        getKellyProbability({ fairProb: 1 / fairOdds, odds, ev, quarterLine }),
+        odds, getMarketConfig(sport, marketId)?.category);
+      units = kelly.recommendedUnits;
+      amount = kelly.recommendedStake;
+    } else if (units === null && amount !== null) {
+      units = parseFloat((amount / stakingSettings.unitSize).toFixed(2));
+    } else if (amount === null && units !== null) {
+      amount = parseFloat((units * stakingSettings.unitSize).toFixed(2));
+    }
+
     const { data, error } = await supabase
       .from('tracked_bets')
       .insert({
@@ -1615,8 +5062,8 @@ app.post('/api/bets', async (req, res) => {
         odds: odds,
         fair_odds: fairOdds,
         ev_at_placement: ev,
-        stake_units: stakeUnits,
-        stake_amount: stakeAmount,
+        stake_units: units,
+        stake_amount: amount,
         bookmaker: bookmaker,
         result: 'pending',
         placed_at: new Date().toISOString()
@@ -1629,8 +5076,12 @@ app.post('/api/bets', async (req, res) => {
       return res.json({ success: false, error: error.message });
     }
 
+    // Check the balance before the stake comes off it
+    const balanceWarning = getBalanceWarning(bookmaker, amount);
+    await recordBetStake(data);
+
     console.log(`[Bets] Tracked new bet: ${selection} @ ${odds} (${bookmaker})`);
-    res.json({ success: true, bet: data });
+    res.json({ success: true, bet: data, balanceWarning });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
@@ -1656,34 +5107,325 @@ app.get('/api/bets', async (req, res) => {
       return res.json({ success: false, error: error.message });
     }
 
+    // CLV: placed odds vs the closing fair price (and the best closing price)
+    const bets = (data || []).map(b => {
+      if (!b.closing_fair_odds) return { ...b, clv: null, clv_vs_best: null, beat_close: null };
+      const clv = (b.odds / b.closing_fair_odds - 1) * 100;
+      return {
+        ...b,
+        clv: parseFloat(clv.toFixed(2)),
+        clv_vs_best: b.closing_best_odds ? parseFloat(((b.odds / b.closing_best_odds - 1) * 100).toFixed(2)) : null,
+        beat_close: clv > 0
+      };
+    });
+    const withCLV = bets.filter(b => b.clv !== null);
+
     // Calculate stats
-    const bets = data || [];
     const settled = bets.filter(b => b.result !== 'pending');
     const won = bets.filter(b => b.result === 'won');
     const lost = bets.filter(b => b.result === 'lost');
+    const halfWon = bets.filter(b => b.result === 'half_won');
+    const halfLost = bets.filter(b => b.result === 'half_lost');
+
+    const totalStaked = settled.reduce((sum, b) => sum + (b.stake_amount || 0), 0);
+    const totalProfit = settled.reduce((sum, b) => sum + (b.profit || 0), 0);
+    const totalUnitsStaked = settled.reduce((sum, b) => sum + (b.stake_units || 0), 0);
+    const totalUnitsProfit = settled.reduce((sum, b) => sum + calculateBetProfit({ ...b, stake_amount: b.stake_units || 0 }, b.result), 0);
+
+    const stats = {
+      total: bets.length,
+      pending: bets.filter(b => b.result === 'pending').length,
+      won: won.length,
+      lost: lost.length,
+      halfWon: halfWon.length,
+      halfLost: halfLost.length,
+      voided: bets.filter(b => b.result === 'void').length,
+      needsReview: bets.filter(b => b.result === 'pending' && b.needs_review).length,
+      // A half win counts as half a win
+      winRate: settled.length > 0 ? (((won.length + halfWon.length / 2) / settled.length) * 100).toFixed(1) : 0,
+      totalStaked: totalStaked.toFixed(2),
+      totalProfit: totalProfit.toFixed(2),
+      roi: totalStaked > 0 ? ((totalProfit / totalStaked) * 100).toFixed(1) : 0,
+      totalUnitsStaked: totalUnitsStaked.toFixed(2),
+      totalUnitsProfit: totalUnitsProfit.toFixed(2),
+      avgEV: bets.length > 0 ? (bets.reduce((sum, b) => sum + (b.ev_at_placement || 0), 0) / bets.length).toFixed(1) : 0,
+      clvCount: withCLV.length,
+      avgCLV: withCLV.length > 0 ? (withCLV.reduce((sum, b) => sum + b.clv, 0) / withCLV.length).toFixed(2) : null,
+      beatCloseRate: withCLV.length > 0 ? ((withCLV.filter(b => b.beat_close).length / withCLV.length) * 100).toFixed(1) : null
+    };
+
+    res.json({ success: true, bets, stats });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Bucket edges for /api/bets/analytics
+const BET_EV_BUCKETS = [0, 2, 5, 10]; // EV at placement (%)
+const BET_ODDS_BUCKETS = [1.5, 2, 3, 5];
+const BET_KICKOFF_BUCKETS = [1, 6, 24, 48]; // Hours between placement and kickoff
+
+// Label of the bucket a value falls into, e.g. '2-5%'
+function getBucketLabel(value, edges, unit = '') {
+  if (value === null || value === undefined || isNaN(value)) return 'unknown';
+  const index = edges.findIndex(edge => value < edge);
+  if (index === 0) return `< ${edges[0]}${unit}`;
+  if (index === -1) return `>= ${edges[edges.length - 1]}${unit}`;
+  return `${edges[index - 1]}-${edges[index]}${unit}`;
+}
+
+const getBucketLabels = (edges, unit = '') =>
+  [edges[0] - 1, ...edges].map(value => getBucketLabel(value, edges, unit)).concat('unknown');
+
+// Tracked bets don't store the sport - any sport's config knows the category
+function getTrackedMarketCategory(marketId) {
+  for (const markets of Object.values(configStore.markets)) {
+    if (markets[marketId]) return markets[marketId].category;
+  }
+  return 'Unknown';
+}
+
+// Performance of a group of bets. Expected profit is stake x EV at placement;
+// its spread comes from each settled bet's win probability implied by that EV
+// (p = (1 + EV) / odds), so actual profit outside the 95% interval means the
+// segment is doing better or worse than bad luck explains. Voided and pushed
+// bets carry no risk and stay out of both; quarter lines count as two
+// half-stake bets.
+function summarizeBetPerformance(bets) {
+  const settled = bets.filter(b => b.result !== 'pending');
+  let staked = 0;
+  let profit = 0;
+  let expectedProfit = 0;
+  let variance = 0;
+  let returns = 0;
+
+  for (const b of settled) {
+    const stake = b.stake_amount || 0;
+    staked += stake;
+    profit += b.profit || 0;
+    if (stake > 0) returns += (b.profit || 0) / stake;
+    if (b.result === 'void' || b.result === 'push') continue;
+
+    const ev = (b.ev_at_placement || 0) / 100;
+    const p = Math.min(Math.max((1 + ev) / b.odds, 0), 1);
+    const parts = b.result === 'half_won' || b.result === 'half_lost' || isQuarterLineBet(b) ? 2 : 1;
+
+    expectedProfit += getExpectedProfit(b);
+    variance += parts * (stake / parts * b.odds) ** 2 * p * (1 - p);
+  }
+
+  const stdDev = Math.sqrt(variance);
+  const ci95 = [expectedProfit - 1.96 * stdDev, expectedProfit + 1.96 * stdDev];
+  const round = v => parseFloat(v.toFixed(2));
+
+  let verdict = 'no settled bets';
+  if (settled.length > 0) {
+    if (profit < ci95[0]) verdict = 'underperforming';
+    else if (profit > ci95[1]) verdict = 'outperforming';
+    else verdict = 'within expectation';
+  }
+
+  return {
+    bets: bets.length,
+    settled: settled.length,
+    pending: bets.length - settled.length,
+    staked: round(staked),
+    profit: round(profit),
+    roi: staked > 0 ? round(profit / staked * 100) : 0, // Profit per unit staked
+    yield: settled.length > 0 ? round(returns / settled.length * 100) : 0, // Average return per bet
+    avgEV: bets.length > 0 ? round(bets.reduce((sum, b) => sum + (b.ev_at_placement || 0), 0) / bets.length) : 0,
+    expectedProfit: round(expectedProfit),
+    profitStdDev: round(stdDev),
+    ci95: ci95.map(round),
+    zScore: stdDev > 0 ? round((profit - expectedProfit) / stdDev) : null,
+    verdict
+  };
+}
+
+// Group bets by a key and summarize each group. `order` fixes the order of
+// bucketed segments, otherwise the biggest segments come first.
+function segmentBets(bets, getKey, order = null) {
+  const groups = new Map();
+  for (const bet of bets) {
+    const key = getKey(bet);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(bet);
+  }
+
+  const segments = [...groups.entries()].map(([segment, group]) => ({ segment, ...summarizeBetPerformance(group) }));
+  return order
+    ? segments.sort((a, b) => order.indexOf(a.segment) - order.indexOf(b.segment))
+    : segments.sort((a, b) => b.bets - a.bets);
+}
+
+// Every tracked bet in `orderBy` order. `filter` adds conditions to the query.
+function fetchTrackedBets(orderBy, filter = query => query) {
+  return fetchAllRows(() => filter(supabase.from('tracked_bets').select('*'))
+    .order(orderBy, { ascending: true })
+    .order('id', { ascending: true }));
+}
+
+// Betting performance broken down by segment, with expected vs actual profit.
+// ?from=&to= limit by placement time (ISO dates)
+app.get('/api/bets/analytics', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const bets = await fetchTrackedBets('placed_at', query => {
+      if (from) query = query.gte('placed_at', from);
+      if (to) query = query.lte('placed_at', to);
+      return query;
+    });
+    const hoursToKickoff = b => (b.kickoff && b.placed_at ? (new Date(b.kickoff) - new Date(b.placed_at)) / 3600000 : null);
+
+    res.json({
+      success: true,
+      overall: summarizeBetPerformance(bets),
+      segments: {
+        category: segmentBets(bets, b => getTrackedMarketCategory(b.market_id)),
+        market: segmentBets(bets, b => b.market_name || `Market ${b.market_id}`),
+        bookmaker: segmentBets(bets, b => b.bookmaker || 'Unknown'),
+        league: segmentBets(bets, b => b.league || 'Unknown'),
+        evBucket: segmentBets(bets, b => getBucketLabel(b.ev_at_placement, BET_EV_BUCKETS, '%'), getBucketLabels(BET_EV_BUCKETS, '%')),
+        oddsBucket: segmentBets(bets, b => getBucketLabel(b.odds, BET_ODDS_BUCKETS), getBucketLabels(BET_ODDS_BUCKETS)),
+        timeToKickoff: segmentBets(bets, b => getBucketLabel(hoursToKickoff(b), BET_KICKOFF_BUCKETS, 'h'), getBucketLabels(BET_KICKOFF_BUCKETS, 'h'))
+      }
+    });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Trailing windows (days) for the rolling ROI in /api/bets/timeseries
+const ROLLING_ROI_WINDOWS = [7, 30, 90];
+
+// Monday of the (UTC) week a date falls in
+function getWeekStart(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+// Cumulative P/L per period from settled bets, in settlement order
+function buildProfitSeries(bets, getPeriod, startingBankroll) {
+  const periods = new Map();
+  for (const b of bets) {
+    const period = getPeriod(b);
+    if (!periods.has(period)) periods.set(period, { period, bets: 0, staked: 0, profit: 0, units: 0, expectedProfit: 0 });
+    const p = periods.get(period);
+    p.bets++;
+    p.staked += b.stake_amount || 0;
+    p.profit += b.profit || 0;
+    p.units += calculateBetProfit({ ...b, stake_amount: b.stake_units || 0 }, b.result);
+    p.expectedProfit += getExpectedProfit(b);
+  }
+
+  let profit = 0;
+  let units = 0;
+  let expected = 0;
+  return [...periods.values()].map(p => {
+    profit += p.profit;
+    units += p.units;
+    expected += p.expectedProfit;
+    return {
+      period: p.period,
+      bets: p.bets,
+      staked: roundMoney(p.staked),
+      profit: roundMoney(p.profit),
+      units: roundMoney(p.units),
+      expectedProfit: roundMoney(p.expectedProfit),
+      cumulativeProfit: roundMoney(profit),
+      cumulativeUnits: roundMoney(units),
+      cumulativeExpected: roundMoney(expected),
+      bankroll: roundMoney(startingBankroll + profit)
+    };
+  });
+}
+
+// Cumulative profit, units and expected value per day and week, with running
+// bankroll, max drawdown, streaks and rolling ROI.
+// ?startingBankroll= (defaults to the staking bankroll), ?from=&to= settlement dates
+app.get('/api/bets/timeseries', async (req, res) => {
+  try {
+    const startingBankroll = req.query.startingBankroll !== undefined
+      ? parseFloat(req.query.startingBankroll)
+      : stakingSettings.bankroll;
+    if (isNaN(startingBankroll)) {
+      return res.status(400).json({ success: false, error: 'startingBankroll must be a number' });
+    }
+
+    const data = await fetchTrackedBets('settled_at', query => {
+      query = query.neq('result', 'pending');
+      if (req.query.from) query = query.gte('settled_at', req.query.from);
+      if (req.query.to) query = query.lte('settled_at', req.query.to);
+      return query;
+    });
 
-    const totalStaked = settled.reduce((sum, b) => sum + (b.stake_amount || 0), 0);
-    const totalProfit = settled.reduce((sum, b) => sum + (b.profit || 0), 0);
-    const totalUnitsStaked = settled.reduce((sum, b) => sum + (b.stake_units || 0), 0);
-    const totalUnitsProfit = won.reduce((sum, b) => sum + (b.stake_units * (b.odds - 1)), 0) -
-                             lost.reduce((sum, b) => sum + b.stake_units, 0);
+    const settledAt = b => b.settled_at || b.placed_at;
+    const bets = data
+      .filter(b => settledAt(b))
+      .sort((a, b) => new Date(settledAt(a)) - new Date(settledAt(b)));
+    const day = b => new Date(settledAt(b)).toISOString().slice(0, 10);
+
+    const daily = buildProfitSeries(bets, day, startingBankroll);
+    const weekly = buildProfitSeries(bets, b => getWeekStart(day(b)), startingBankroll);
+
+    // Rolling ROI over the trailing windows ending on each day
+    for (const point of daily) {
+      const end = new Date(`${point.period}T00:00:00Z`);
+      point.rollingRoi = Object.fromEntries(ROLLING_ROI_WINDOWS.map(days => {
+        const start = new Date(end.getTime() - (days - 1) * 86400000).toISOString().slice(0, 10);
+        const window = daily.filter(p => p.period >= start && p.period <= point.period);
+        const staked = window.reduce((sum, p) => sum + p.staked, 0);
+        const profit = window.reduce((sum, p) => sum + p.profit, 0);
+        return [`${days}d`, staked > 0 ? roundMoney(profit / staked * 100) : null];
+      }));
+    }
 
-    const stats = {
-      total: bets.length,
-      pending: bets.filter(b => b.result === 'pending').length,
-      won: won.length,
-      lost: lost.length,
-      voided: bets.filter(b => b.result === 'void').length,
-      winRate: settled.length > 0 ? ((won.length / settled.length) * 100).toFixed(1) : 0,
-      totalStaked: totalStaked.toFixed(2),
-      totalProfit: totalProfit.toFixed(2),
-      roi: totalStaked > 0 ? ((totalProfit / totalStaked) * 100).toFixed(1) : 0,
-      totalUnitsStaked: totalUnitsStaked.toFixed(2),
-      totalUnitsProfit: totalUnitsProfit.toFixed(2),
-      avgEV: bets.length > 0 ? (bets.reduce((sum, b) => sum + (b.ev_at_placement || 0), 0) / bets.length).toFixed(1) : 0
-    };
+    // Max drawdown and streaks bet by bet - pushes and voids don't break a streak
+    let cumulative = 0;
+    let peak = 0;
+    let peakAt = null;
+    const drawdown = { amount: 0, pct: 0, peakAt: null, troughAt: null };
+    const streaks = { longestWinning: 0, longestLosing: 0, current: 0 }; // current: + wins, - losses
+
+    for (const b of bets) {
+      const profit = b.profit || 0;
+      cumulative += profit;
+      if (cumulative > peak) {
+        peak = cumulative;
+        peakAt = settledAt(b);
+      }
+      if (peak - cumulative > drawdown.amount) {
+        drawdown.amount = peak - cumulative;
+        drawdown.pct = startingBankroll + peak > 0 ? drawdown.amount / (startingBankroll + peak) * 100 : 0;
+        drawdown.peakAt = peakAt;
+        drawdown.troughAt = settledAt(b);
+      }
 
-    res.json({ success: true, bets, stats });
+      if (profit > 0) streaks.current = Math.max(streaks.current, 0) + 1;
+      else if (profit < 0) streaks.current = Math.min(streaks.current, 0) - 1;
+      streaks.longestWinning = Math.max(streaks.longestWinning, streaks.current);
+      streaks.longestLosing = Math.max(streaks.longestLosing, -streaks.current);
+    }
+
+    const staked = bets.reduce((sum, b) => sum + (b.stake_amount || 0), 0);
+
+    res.json({
+      success: true,
+      startingBankroll,
+      summary: {
+        bets: bets.length,
+        staked: roundMoney(staked),
+        profit: roundMoney(cumulative),
+        roi: staked > 0 ? roundMoney(cumulative / staked * 100) : 0,
+        bankroll: roundMoney(startingBankroll + cumulative),
+        maxDrawdown: { ...drawdown, amount: roundMoney(drawdown.amount), pct: roundMoney(drawdown.pct) },
+        streaks
+      },
+      daily,
+      weekly
+    });
   } catch (error) {
     res.json({ success: false, error: error.message });
   }
@@ -1693,10 +5435,10 @@ app.get('/api/bets', async (req, res) => {
 app.patch('/api/bets/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { result } = req.body; // won, lost, void, push
+    const { result } = req.body; // won, lost, half_won, half_lost, void, push
 
-    if (!['won', 'lost', 'void', 'push', 'pending'].includes(result)) {
-      return res.json({ success: false, error: 'Invalid result. Use: won, lost, void, push, pending' });
+    if (!BET_RESULTS.includes(result)) {
+      return res.json({ success: false, error: `Invalid result. Use: ${BET_RESULTS.join(', ')}` });
     }
 
     // First get the bet to calculate profit
@@ -1710,22 +5452,17 @@ app.patch('/api/bets/:id', async (req, res) => {
       return res.json({ success: false, error: 'Bet not found' });
     }
 
-    // Calculate profit based on result
-    let profit = 0;
-    if (result === 'won') {
-      profit = bet.stake_amount * (bet.odds - 1);
-    } else if (result === 'lost') {
-      profit = -bet.stake_amount;
-    } else if (result === 'void' || result === 'push') {
-      profit = 0; // Stake returned
-    }
+    const profit = calculateBetProfit(bet, result);
 
     const { data, error } = await supabase
       .from('tracked_bets')
       .update({
         result: result,
         profit: profit,
-        settled_at: result === 'pending' ? null : new Date().toISOString()
+        settled_at: result === 'pending' ? null : new Date().toISOString(),
+        settled_by: result === 'pending' ? null : 'manual',
+        needs_review: false,
+        review_reason: null
       })
       .eq('id', id)
       .select()
@@ -1735,6 +5472,8 @@ app.patch('/api/bets/:id', async (req, res) => {
       return res.json({ success: false, error: error.message });
     }
 
+    await recordBetSettlement(data);
+
     console.log(`[Bets] Updated bet ${id}: ${result} (profit: ${profit.toFixed(2)})`);
     res.json({ success: true, bet: data });
   } catch (error) {
@@ -1756,6 +5495,8 @@ app.delete('/api/bets/:id', async (req, res) => {
       return res.json({ success: false, error: error.message });
     }
 
+    await deleteBetTransactions(id);
+
     console.log(`[Bets] Deleted bet ${id}`);
     res.json({ success: true });
   } catch (error) {
@@ -1763,8 +5504,472 @@ app.delete('/api/bets/:id', async (req, res) => {
   }
 });
 
+// ============ BET SETTLEMENT ============
+
+// Why a finished fixture's bet couldn't be settled automatically
+function getSettlementIssue(bet) {
+  const rule = SCORE_SETTLED_MARKETS[bet.market_id];
+  if (!rule) return 'no settlement rule for this market';
+  return rule.stats ? 'match statistics unavailable' : 'could not settle from the final score';
+}
+
+// Settle pending bets whose fixtures have finished. Bets that can't be settled
+// from the score - unknown markets, missing statistics, abandoned fixtures - are
+// flagged for manual review and left pending.
+async function settleTrackedBets() {
+  const now = Date.now();
+
+  try {
+    const { data: bets, error } = await supabase
+      .from('tracked_bets')
+      .select('*')
+      .eq('result', 'pending')
+      .eq('needs_review', false)
+      .lte('kickoff', new Date(now - SETTLEMENT_DELAY).toISOString())
+      .order('kickoff', { ascending: true }); // Oldest fixtures get the scores batch first
+
+    if (error) {
+      console.error('[Settlement] Error loading bets:', error.message);
+      return null;
+    }
+
+    const summary = { checked: bets.length, settled: 0, flagged: 0, waiting: 0 };
+    if (bets.length === 0) return summary;
+
+    // One scores request per cycle, and only when the refresh can spare it -
+    // bets of the remaining fixtures wait for the next cycle
+    if (!hasSpareRequest()) {
+      console.log('[Settlement] Skipping cycle - no spare API requests');
+      return { ...summary, waiting: bets.length, skipped: true };
+    }
+    const fixtureIds = [...new Set(bets.map(b => b.fixture_id))].slice(0, SCORES_BATCH_SIZE);
+    const scores = await fetchFixtureScores(fixtureIds);
+
+    for (const bet of bets) {
+      if (!fixtureIds.includes(bet.fixture_id)) {
+        summary.waiting++;
+        continue;
+      }
+
+      const score = scores.get(bet.fixture_id);
+      let update;
+
+      if (score?.status === 3) { // Status 3 = finished
+        const result = resolveSelectionOutcome(bet.market_id, bet.selection, bet.line, score);
+        update = result
+          ? { result, profit: calculateBetProfit(bet, result), settled_at: new Date().toISOString(), settled_by: 'auto' }
+          : { needs_review: true, review_reason: getSettlementIssue(bet) };
+      } else if (LIVE_SETTINGS.endedStatuses.includes(score?.status)) {
+        update = { needs_review: true, review_reason: `fixture ended with status ${score.status}` };
+      } else if (now - new Date(bet.kickoff) >= SETTLEMENT_REVIEW_AFTER) {
+        update = { needs_review: true, review_reason: 'no final score' };
+      } else {
+        summary.waiting++;
+        continue;
+      }
+
+      // Only while still pending - a manual result since the read wins
+      const { data: updated, error: updateError } = await supabase
+        .from('tracked_bets')
+        .update(update)
+        .eq('id', bet.id)
+        .eq('result', 'pending')
+        .select('id');
+
+      if (updateError) {
+        console.error(`[Settlement] Error updating bet ${bet.id}:`, updateError.message);
+      } else if (updated.length === 0) {
+        console.log(`[Settlement] Bet ${bet.id} is no longer pending - skipped`);
+      } else if (update.result) {
+        await recordBetSettlement({ ...bet, ...update });
+        summary.settled++;
+        console.log(`[Settlement] Bet ${bet.id}: ${bet.selection} ${bet.line ?? ''} -> ${update.result}`);
+      } else {
+        summary.flagged++;
+        console.log(`[Settlement] Bet ${bet.id} flagged for review: ${update.review_reason}`);
+      }
+    }
+
+    console.log(`[Settlement] ${summary.settled} settled, ${summary.flagged} flagged, ${summary.waiting} waiting on results`);
+    return summary;
+  } catch (error) {
+    console.error('[Settlement] Error:', error.message);
+    return null;
+  }
+}
+
+// Pending bets the settlement engine flagged for manual settlement
+app.get('/api/bets/review', async (req, res) => {
+  const { data, error } = await supabase
+    .from('tracked_bets')
+    .select('*')
+    .eq('result', 'pending')
+    .eq('needs_review', true)
+    .order('kickoff', { ascending: true });
+
+  if (error) {
+    return res.json({ success: false, error: error.message });
+  }
+
+  res.json({ success: true, count: data.length, bets: data });
+});
+
+// Run settlement now instead of waiting for the next cycle
+app.post('/api/admin/settlement/run', async (req, res) => {
+  try {
+    const summary = await settleTrackedBets();
+    if (!summary) return res.json({ success: false, error: 'Settlement failed - see the server log' });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('[Settlement] Error:', error.message);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// ============ BANKROLL ============
+
+const roundMoney = v => parseFloat(v.toFixed(2));
+
+// Ledger rows hold the name typed in ("bet365"), value bets the alias display
+// name ("Bet365 (UK)") - both resolve to the canonical bookmaker
+function getLedgerBookmaker(name) {
+  return findBookmakerAlias(name)?.canonical || name;
+}
+
+const getLedgerKey = name => getLedgerBookmaker(name).toLowerCase();
+
+// Every ledger row, oldest first
+function fetchBankrollTransactions() {
+  return fetchAllRows(() => supabase
+    .from('bankroll_transactions')
+    .select('*')
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true }));
+}
+
+// Rebuild the per-book balances used for stake warnings
+async function loadBankrollBalances() {
+  try {
+    const rows = await fetchBankrollTransactions();
+    const balances = new Map();
+
+    for (const row of rows) {
+      const key = getLedgerKey(row.bookmaker);
+      if (!balances.has(key)) balances.set(key, { bookmaker: getLedgerBookmaker(row.bookmaker), balance: 0 });
+      balances.get(key).balance += Number(row.amount);
+    }
+
+    bankroll.balances = balances;
+    refreshBalanceWarnings();
+  } catch (error) {
+    console.error('[Bankroll] Could not load balances:', error.message);
+  }
+}
+
+// Warning when a stake is more than the ledger holds at that book. Books with
+// no ledger entries aren't tracked and never warn.
+function getBalanceWarning(bookmaker, stake) {
+  if (!bookmaker) return null;
+  const account = bankroll.balances.get(getLedgerKey(bookmaker));
+  if (!account || !(stake > account.balance)) return null;
+
+  return {
+    bookmaker: account.bookmaker,
+    balance: roundMoney(account.balance),
+    stake,
+    shortfall: roundMoney(stake - account.balance)
+  };
+}
+
+function refreshBalanceWarnings() {
+  for (const match of cachedData.matches) {
+    for (const bet of match.valueBets) {
+      bet.balanceWarning = getBalanceWarning(bet.bestBookmaker, bet.recommendedStake);
+    }
+  }
+}
+
+// Ledger writes from bet tracking never fail the bet itself - they're logged
+async function insertBankrollTransaction(row) {
+  const { error } = await supabase.from('bankroll_transactions').insert(row);
+  if (error) console.error('[Bankroll] Error recording transaction:', error.message);
+}
+
+async function recordBetStake(bet) {
+  if (!bet.bookmaker || !bet.stake_amount) return;
+
+  await insertBankrollTransaction({
+    bookmaker: bet.bookmaker,
+    type: 'bet_stake',
+    amount: -bet.stake_amount,
+    bet_id: bet.id,
+    note: `${bet.selection}${bet.line !== null && bet.line !== undefined ? ` ${bet.line}` : ''} @ ${bet.odds}`
+  });
+  await loadBankrollBalances();
+}
+
+// Replace a bet's settlement with the amount returned for its current result
+// (stake + profit) - re-settling or reopening a bet undoes the previous one
+async function recordBetSettlement(bet) {
+  if (!bet.bookmaker || !bet.stake_amount) return;
+
+  const { error } = await supabase
+    .from('bankroll_transactions')
+    .delete()
+    .eq('bet_id', bet.id)
+    .eq('type', 'settlement');
+  if (error) {
+    console.error('[Bankroll] Error clearing settlement:', error.message);
+    return;
+  }
+
+  const returned = bet.stake_amount + (bet.profit || 0);
+  if (bet.result !== 'pending' && returned > 0) {
+    await insertBankrollTransaction({
+      bookmaker: bet.bookmaker,
+      type: 'settlement',
+      amount: roundMoney(returned),
+      bet_id: bet.id,
+      note: bet.result
+    });
+  }
+  await loadBankrollBalances();
+}
+
+async function deleteBetTransactions(betId) {
+  const { error } = await supabase.from('bankroll_transactions').delete().eq('bet_id', betId);
+  if (error) console.error('[Bankroll] Error removing bet transactions:', error.message);
+  await loadBankrollBalances();
+}
+
+// Balances per bookmaker, the total bankroll, and its daily history
+app.get('/api/bankroll', async (req, res) => {
+  try {
+    const rows = await fetchBankrollTransactions();
+    const books = new Map();
+    const days = new Map();
+    const openStakes = new Map(); // bet_id -> stake, until settled
+
+    for (const row of rows) {
+      const amount = Number(row.amount);
+      const key = getLedgerKey(row.bookmaker);
+      if (!books.has(key)) {
+        books.set(key, { bookmaker: getLedgerBookmaker(row.bookmaker), balance: 0, deposits: 0, withdrawals: 0, bonuses: 0, adjustments: 0, staked: 0, returned: 0, inPlay: 0 });
+      }
+      const book = books.get(key);
+      book.balance += amount;
+      if (row.type === 'deposit') book.deposits += amount;
+      else if (row.type === 'withdrawal') book.withdrawals -= amount;
+      else if (row.type === 'bonus') book.bonuses += amount;
+      else if (row.type === 'adjustment') book.adjustments += amount;
+      else if (row.type === 'bet_stake') {
+        book.staked -= amount;
+        openStakes.set(row.bet_id, { key, stake: -amount });
+      } else if (row.type === 'settlement') book.returned += amount;
+
+      const day = row.created_at.slice(0, 10);
+      days.set(day, (days.get(day) || 0) + amount);
+    }
+
+    // Stakes of bets that are still pending
+    if (openStakes.size > 0) {
+      const pending = await fetchAllRows(() => supabase
+        .from('tracked_bets')
+        .select('id')
+        .eq('result', 'pending')
+        .order('id', { ascending: true }));
+      for (const { id } of pending) {
+        const open = openStakes.get(id);
+        if (open) books.get(open.key).inPlay += open.stake;
+      }
+    }
+
+    let running = 0;
+    const history = [...days.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, change]) => {
+      running += change;
+      return { date, change: roundMoney(change), total: roundMoney(running) };
+    });
+
+    const balances = [...books.values()]
+      .map(book => Object.fromEntries(Object.entries(book).map(([k, v]) => [k, typeof v === 'number' ? roundMoney(v) : v])))
+      .sort((a, b) => b.balance - a.balance);
+
+    res.json({
+      success: true,
+      total: roundMoney(balances.reduce((sum, b) => sum + b.balance, 0)),
+      inPlay: roundMoney(balances.reduce((sum, b) => sum + b.inPlay, 0)),
+      balances,
+      history
+    });
+  } catch (error) {
+    console.error('[Bankroll] Error:', error.message);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Ledger entries, newest first. ?bookmaker=&type=&from=&to= - bookmaker
+// matches every name that resolves to the same book, like the balances
+app.get('/api/bankroll/transactions', async (req, res) => {
+  const { bookmaker, type, from, to } = req.query;
+
+  if (type && !BANKROLL_TRANSACTION_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, error: `Invalid type. Use: ${BANKROLL_TRANSACTION_TYPES.join(', ')}` });
+  }
+
+  try {
+    const rows = await fetchAllRows(() => {
+      let query = supabase
+        .from('bankroll_transactions')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (type) query = query.eq('type', type);
+      if (from) query = query.gte('created_at', from);
+      if (to) query = query.lte('created_at', to);
+      return query;
+    });
+
+    const transactions = bookmaker
+      ? rows.filter(row => getLedgerKey(row.bookmaker) === getLedgerKey(bookmaker))
+      : rows;
+
+    res.json({ success: true, count: transactions.length, transactions });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Record a deposit, withdrawal, bonus or adjustment. Amounts are positive
+// except adjustments, which carry their own sign.
+app.post('/api/bankroll/transactions', async (req, res) => {
+  try {
+    const { type, bookmaker, amount, note, createdAt } = req.body;
+
+    if (!BANKROLL_MANUAL_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `Invalid type. Use: ${BANKROLL_MANUAL_TYPES.join(', ')}` });
+    }
+    if (typeof bookmaker !== 'string' || !bookmaker.trim()) {
+      return res.status(400).json({ success: false, error: 'bookmaker is required' });
+    }
+    if (typeof amount !== 'number' || amount === 0 || (type !== 'adjustment' && amount < 0)) {
+      return res.status(400).json({ success: false, error: 'amount must be a positive number (adjustments may be negative)' });
+    }
+    if (createdAt && isNaN(new Date(createdAt))) {
+      return res.status(400).json({ success: false, error: 'createdAt must be an ISO date' });
+    }
+
+    const balance = bankroll.balances.get(getLedgerKey(bookmaker))?.balance || 0;
+    if (type === 'withdrawal' && amount > balance + 0.005) {
+      return res.status(400).json({ success: false, error: `Withdrawal exceeds the ${bookmaker} balance of ${roundMoney(balance)}` });
+    }
+
+    const { data, error } = await supabase
+      .from('bankroll_transactions')
+      .insert({
+        bookmaker,
+        type,
+        amount: type === 'withdrawal' ? -amount : amount,
+        note: note || null,
+        ...(createdAt && { created_at: new Date(createdAt).toISOString() })
+      })
+      .select()
+      .single();
+
+    if (error) {
+      return res.json({ success: false, error: error.message });
+    }
+
+    await loadBankrollBalances();
+    console.log(`[Bankroll] ${type} of ${amount} at ${bookmaker}`);
+    res.json({ success: true, transaction: data });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// Remove a manual entry - stake and settlement rows follow their bet
+app.delete('/api/bankroll/transactions/:id', async (req, res) => {
+  try {
+    const { data: row, error: fetchError } = await supabase
+      .from('bankroll_transactions')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !row) {
+      return res.status(404).json({ success: false, error: 'Transaction not found' });
+    }
+    if (!BANKROLL_MANUAL_TYPES.includes(row.type)) {
+      return res.status(400).json({ success: false, error: `${row.type} transactions are managed by bet tracking` });
+    }
+
+    const { error } = await supabase.from('bankroll_transactions').delete().eq('id', row.id);
+
+    if (error) {
+      return res.json({ success: false, error: error.message });
+    }
+
+    await loadBankrollBalances();
+    console.log(`[Bankroll] Deleted transaction ${row.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    res.json({ success: false, error: error.message });
+  }
+});
+
 // ============ SNAPSHOT FUNCTIONS ============
 
+// Write the current fair and best price to tracked bets about to kick off.
+// Runs until kickoff, so the last capture is the closing line.
+async function captureClosingLines() {
+  const now = new Date();
+
+  const { data: bets, error } = await supabase
+    .from('tracked_bets')
+    .select('id, fixture_id, market_id, selection, line')
+    .gt('kickoff', now.toISOString())
+    .lte('kickoff', new Date(now.getTime() + CLOSING_LINE_WINDOW).toISOString());
+
+  if (error) {
+    console.error(`[CLV] Error loading bets:`, error.message);
+    return;
+  }
+
+  let captured = 0;
+
+  for (const bet of bets || []) {
+    const match = cachedData.matches.find(m => m.fixtureId === bet.fixture_id);
+    // Player props can share market + selection + line - skip when ambiguous
+    const candidates = (match?.valueBets || []).filter(vb =>
+      vb.marketId === bet.market_id &&
+      vb.selection === bet.selection &&
+      (bet.line === null ? !vb.line : parseFloat(vb.line) === parseFloat(bet.line)));
+    if (candidates.length !== 1) continue;
+
+    const closing = candidates[0];
+    const { error: updateError } = await supabase
+      .from('tracked_bets')
+      .update({
+        closing_fair_odds: Math.min(closing.fairOdds, 999.99),
+        closing_best_odds: Math.min(closing.bestOdds, 999.99),
+        closing_bookmaker: closing.bestBookmaker,
+        closing_captured_at: now.toISOString()
+      })
+      .eq('id', bet.id);
+
+    if (updateError) {
+      console.error(`[CLV] Error updating bet ${bet.id}:`, updateError.message);
+    } else {
+      captured++;
+    }
+  }
+
+  if (captured > 0) {
+    console.log(`[CLV] Captured closing lines for ${captured} bets`);
+  }
+}
+
 async function saveSnapshot() {
   console.log(`[Snapshot] Starting snapshot...`);
 
@@ -1880,18 +6085,52 @@ async function cleanupOldSnapshots() {
 // ============ SCHEDULER ============
 
 const REFRESH_INTERVAL = 60 * 1000; // 1 minute
+
+// Delta updates: only changed markets are fetched between full resyncs,
+// so odds can refresh far more often within the same API budget
+const DELTA_UPDATES_ENABLED = process.env.DELTA_UPDATES !== 'false';
+const DELTA_REFRESH_INTERVAL = 15 * 1000; // 15 seconds
+const FULL_RESYNC_INTERVAL = 10 * 60 * 1000; // Full refetch every 10 min guards against drift
+
 let lastSnapshotTime = 0;
+let lastBookPriceSnapshot = 0;
+let lastClosingLineCapture = 0;
+let refreshInProgress = false;
+let liveRefreshInProgress = false;
+
+// Pick a full fetch or a delta for this cycle
+async function refreshOdds() {
+  const dueForResync = !oddsBook.lastFullSync || Date.now() - oddsBook.lastFullSync >= FULL_RESYNC_INTERVAL;
+
+  if (!DELTA_UPDATES_ENABLED || dueForResync) {
+    await fetchAndCalculateEV();
+  } else {
+    await fetchAndApplyDeltas();
+  }
+}
 
 function startScheduler() {
-  console.log(`[Scheduler] Starting with ${REFRESH_INTERVAL / 1000}s interval`);
+  const interval = DELTA_UPDATES_ENABLED ? DELTA_REFRESH_INTERVAL : REFRESH_INTERVAL;
+  console.log(`[Scheduler] Starting with ${interval / 1000}s interval${DELTA_UPDATES_ENABLED ? ` (delta updates, full resync every ${FULL_RESYNC_INTERVAL / 60000} min)` : ''}`);
   console.log(`[Scheduler] Snapshots every ${SNAPSHOT_INTERVAL / 60000} minutes for bets with EV >= ${MIN_EV_FOR_SNAPSHOT}%`);
 
-  // Initial fetch
-  fetchAndCalculateEV();
+  // Initial fetch - under the same guard, so a slow first load isn't
+  // overlapped by the first interval tick
+  refreshInProgress = true;
+  fetchAndCalculateEV().finally(() => {
+    refreshInProgress = false;
+  });
 
   // Schedule recurring fetches
   setInterval(async () => {
-    await fetchAndCalculateEV();
+    // A slow full resync can outlast a delta interval - never overlap refreshes
+    if (refreshInProgress) return;
+    refreshInProgress = true;
+    try {
+      await refreshOdds();
+    } finally {
+      refreshInProgress = false;
+    }
 
     // Check if it's time for a snapshot (every 20 min)
     const now = Date.now();
@@ -1904,7 +6143,49 @@ function startScheduler() {
         await cleanupOldSnapshots();
       }
     }
-  }, REFRESH_INTERVAL);
+
+    // Closing lines of tracked bets near kickoff
+    if (now - lastClosingLineCapture >= CLOSING_LINE_INTERVAL) {
+      lastClosingLineCapture = now;
+      await captureClosingLines();
+    }
+
+    // Per-book prices for the sharpness scores
+    if (now - lastBookPriceSnapshot >= BOOK_PRICE_SNAPSHOT_INTERVAL) {
+      lastBookPriceSnapshot = now;
+      await saveBookmakerPrices();
+    }
+  }, interval);
+
+  // Settle finished bets from final scores
+  settleTrackedBets();
+  setInterval(settleTrackedBets, SETTLEMENT_INTERVAL);
+
+  // Bookmaker sharpness is rescored daily - stale scores once the first data is in
+  setInterval(runSharpnessJob, SHARPNESS_JOB_INTERVAL);
+  if (!sharpnessScores.computedAt || Date.now() - new Date(sharpnessScores.computedAt) >= SHARPNESS_JOB_INTERVAL) {
+    setTimeout(runSharpnessJob, 5 * 60 * 1000);
+  }
+
+  // Provider catalog for /api/bookmakers
+  syncProviderCatalog();
+  setInterval(syncProviderCatalog, PROVIDER_SYNC_INTERVAL);
+
+  // In-play fixtures run on their own, shorter cycle
+  if (LIVE_MODE_ENABLED) {
+    console.log(`[Scheduler] Live mode: in-play refresh every ${LIVE_REFRESH_INTERVAL / 1000}s`);
+    fetchAndCalculateLiveEV();
+
+    setInterval(async () => {
+      if (liveRefreshInProgress || !hasSpareRequest()) return;
+      liveRefreshInProgress = true;
+      try {
+        await fetchAndCalculateLiveEV();
+      } finally {
+        liveRefreshInProgress = false;
+      }
+    }, LIVE_REFRESH_INTERVAL);
+  }
 
   // Take first snapshot after 2 minutes (let data load first)
   setTimeout(() => {
@@ -1913,9 +6194,81 @@ function startScheduler() {
   }, 2 * 60 * 1000);
 }
 
+// ============ REPLAY COMMAND ============
+
+// Fields compared between recorded and replayed value bets
+const REPLAY_DIFF_FIELDS = ['fairOdds', 'bestBookmaker', 'bestOdds', 'bestEV', 'devigMethod', 'confidence', 'recommendedStake'];
+
+function diffValueBets(recordedMatches, replayedMatches) {
+  const index = matches => new Map(matches.flatMap(m => m.valueBets.map(b => [
+    `${m.fixtureId}|${b.marketId}|${b.selection}|${b.line ?? ''}`, b
+  ])));
+  const recorded = index(recordedMatches);
+  const replayed = index(replayedMatches);
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [key, bet] of replayed) {
+    const before = recorded.get(key);
+    if (!before) {
+      diff.added.push({ key, bestEV: bet.bestEV });
+      continue;
+    }
+    const fields = REPLAY_DIFF_FIELDS
+      .filter(f => JSON.stringify(before[f]) !== JSON.stringify(bet[f]))
+      .map(f => ({ field: f, recorded: before[f], replayed: bet[f] }));
+    if (fields.length > 0) diff.changed.push({ key, fields });
+  }
+  for (const [key, bet] of recorded) {
+    if (!replayed.has(key)) diff.removed.push({ key, bestEV: bet.bestEV });
+  }
+
+  return diff;
+}
+
+// Re-run every recorded cycle through the EV pipeline and diff against what was
+// computed at record time. Exit code 1 when any cycle differs.
+async function runReplayCommand(dir) {
+  // Same leagues, markets and bookmaker names as the live server
+  await Promise.all([loadConfigStore(), loadBookmakerAliases()]);
+
+  console.log(`[Replay] Replaying session ${dir}`);
+  let differingCycles = 0;
+
+  for (const [i, cycle] of oddsProvider.cycles.entries()) {
+    if (!cycle.result) continue;
+
+    oddsProvider.startCycle(i);
+    if (cycle.result.mode === 'delta') {
+      await fetchAndApplyDeltas();
+    } else {
+      await fetchAndCalculateEV();
+    }
+
+    if (cachedData.error) {
+      console.error(`[Replay] Cycle ${i + 1} failed: ${cachedData.error}`);
+      differingCycles++;
+      continue;
+    }
+
+    const diff = diffValueBets(cycle.result.response.matches || [], cachedData.matches);
+    const total = diff.added.length + diff.removed.length + diff.changed.length;
+    console.log(`[Replay] Cycle ${i + 1} (${cycle.result.mode}, ${cycle.result.now}): ${total === 0 ? 'identical' : `${diff.changed.length} changed, ${diff.added.length} added, ${diff.removed.length} removed`}`);
+
+    if (total > 0) {
+      differingCycles++;
+      for (const entry of [...diff.changed, ...diff.added, ...diff.removed].slice(0, 20)) {
+        console.log('   ', JSON.stringify(entry));
+      }
+    }
+  }
+
+  console.log(`[Replay] Done: ${differingCycles} cycle(s) differ`);
+  return differingCycles > 0 ? 1 : 0;
+}
+
 // ============ START SERVER ============
 
-httpServer.listen(PORT, () => {
+function onServerStarted() {
   console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║                                                           ║
@@ -1924,6 +6277,9 @@ httpServer.listen(PORT, () => {
 ║                                                           ║
 ║   REST Endpoints:                                         ║
 ║   • GET  /api/ev-bets       - Get EV opportunities        ║
+║   • GET  /api/arbs          - Arbitrage opportunities     ║
+║   • GET  /api/middles       - Middles on line markets     ║
+║   • GET  /api/live/ev-bets  - In-play EV (LIVE_MODE)      ║
 ║   • GET  /api/status        - Server status               ║
 ║   • POST /api/refresh       - Force refresh               ║
 ║   • GET  /api/leagues       - Available leagues           ║
@@ -1935,13 +6291,27 @@ httpServer.listen(PORT, () => {
 ║   • 'full-update'       - Complete data refresh           ║
 ║   • 'ev-notifications'  - New/changed +EV bets            ║
 ║   • 'ev-update-summary' - Summary of changes              ║
+║   • 'arb-opportunities' - Current surebets                ║
 ║   • 'set-preferences'   - Set notification prefs          ║
+║   • /live 'live-update' - In-play EV (LIVE_MODE)          ║
 ║                                                           ║
 ║   Snapshots: Every ${SNAPSHOT_INTERVAL / 60000} min (EV >= ${MIN_EV_FOR_SNAPSHOT}%)                  ║
-║   Refresh: ${REFRESH_INTERVAL / 1000}s | Storage: Supabase                    ║
+║   Refresh: ${(DELTA_UPDATES_ENABLED ? DELTA_REFRESH_INTERVAL : REFRESH_INTERVAL) / 1000}s | Storage: Supabase                    ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
 
-  startScheduler();
-});
+  // Balances are keyed through the alias registry, so they load after it
+  Promise.all([loadConfigStore(), loadBookmakerAliases().then(loadBankrollBalances), loadSharpnessScores(), loadBookmakerAnalytics()]).then(startScheduler);
+}
+
+if (REPLAY_COMMAND_DIR) {
+  runReplayCommand(REPLAY_COMMAND_DIR)
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('[Replay] Error:', error);
+      process.exit(1);
+    });
+} else {
+  httpServer.listen(PORT, onServerStarted);
+}
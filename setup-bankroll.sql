@@ -0,0 +1,24 @@
+-- Run this in Supabase SQL Editor: https://supabase.com/dashboard/project/wxtfyhmytbrzoegvwztd/sql
+-- Run setup-tracked-bets.sql first.
+
+-- Create bankroll_transactions table (ledger - balances are the sum of amounts)
+CREATE TABLE IF NOT EXISTS bankroll_transactions (
+  id BIGSERIAL PRIMARY KEY,
+  bookmaker VARCHAR(100) NOT NULL,
+  type VARCHAR(20) NOT NULL, -- deposit, withdrawal, bet_stake, settlement, bonus, adjustment
+  amount DECIMAL(12,2) NOT NULL, -- signed: money in is positive, money out negative
+  bet_id INTEGER REFERENCES tracked_bets(id) ON DELETE CASCADE,
+  note TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_bankroll_transactions_bookmaker ON bankroll_transactions(bookmaker);
+CREATE INDEX IF NOT EXISTS idx_bankroll_transactions_bet_id ON bankroll_transactions(bet_id);
+CREATE INDEX IF NOT EXISTS idx_bankroll_transactions_created_at ON bankroll_transactions(created_at);
+
+-- Enable Row Level Security (optional but recommended)
+ALTER TABLE bankroll_transactions ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations (for development)
+CREATE POLICY "Allow all operations" ON bankroll_transactions FOR ALL USING (true);
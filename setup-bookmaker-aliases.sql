@@ -0,0 +1,18 @@
+-- Run this in Supabase SQL Editor: https://supabase.com/dashboard/project/wxtfyhmytbrzoegvwztd/sql
+-- The server seeds the table with its built-in aliases on first start.
+
+-- Create bookmaker_aliases table (raw provider name -> canonical bookmaker)
+CREATE TABLE IF NOT EXISTS bookmaker_aliases (
+  alias VARCHAR(255) PRIMARY KEY, -- lowercased raw name, or prefix / substring of it
+  match_type VARCHAR(20) NOT NULL DEFAULT 'exact', -- exact, prefix, contains
+  canonical VARCHAR(100) NOT NULL,
+  region VARCHAR(50),
+  licence VARCHAR(100),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Enable Row Level Security (optional but recommended)
+ALTER TABLE bookmaker_aliases ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations (for development)
+CREATE POLICY "Allow all operations" ON bookmaker_aliases FOR ALL USING (true);
@@ -0,0 +1,25 @@
+-- Run this in Supabase SQL Editor: https://supabase.com/dashboard/project/wxtfyhmytbrzoegvwztd/sql
+
+-- Create bookmaker_analytics table (hourly positioning samples per league and book)
+CREATE TABLE IF NOT EXISTS bookmaker_analytics (
+  hour TIMESTAMPTZ NOT NULL,
+  league_id INTEGER NOT NULL,
+  league VARCHAR(255),
+  sport VARCHAR(50),
+  bookmaker VARCHAR(100) NOT NULL,
+  selections INTEGER DEFAULT 0,
+  below_median INTEGER DEFAULT 0,
+  at_median INTEGER DEFAULT 0,
+  above_median INTEGER DEFAULT 0,
+  best_price INTEGER DEFAULT 0,
+  positive_ev INTEGER DEFAULT 0,
+  ev_histogram JSONB DEFAULT '[]',
+  overround JSONB DEFAULT '{}', -- category -> { sum, count }
+  PRIMARY KEY (hour, league_id, bookmaker)
+);
+
+-- Enable Row Level Security (optional but recommended)
+ALTER TABLE bookmaker_analytics ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations (for development)
+CREATE POLICY "Allow all operations" ON bookmaker_analytics FOR ALL USING (true);
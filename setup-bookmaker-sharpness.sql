@@ -0,0 +1,44 @@
+-- Run this in Supabase SQL Editor: https://supabase.com/dashboard/project/wxtfyhmytbrzoegvwztd/sql
+
+-- Create bookmaker_prices table (per-book de-vigged prices, written when they move)
+CREATE TABLE IF NOT EXISTS bookmaker_prices (
+  id BIGSERIAL PRIMARY KEY,
+  fixture_id INTEGER NOT NULL,
+  kickoff TIMESTAMPTZ NOT NULL,
+  league_id INTEGER,
+  sport VARCHAR(50),
+  market_id INTEGER NOT NULL,
+  category VARCHAR(100),
+  selection VARCHAR(255) NOT NULL,
+  line VARCHAR(50),
+  bookmaker VARCHAR(100) NOT NULL,
+  price DECIMAL(6,3),
+  fair_prob DECIMAL(5,2), -- percent
+  captured_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create bookmaker_sharpness table (latest scores from the sharpness job)
+CREATE TABLE IF NOT EXISTS bookmaker_sharpness (
+  bookmaker VARCHAR(100) PRIMARY KEY,
+  samples INTEGER DEFAULT 0,
+  log_loss DECIMAL(8,4),
+  brier DECIMAL(8,4),
+  by_category JSONB DEFAULT '{}',
+  leads INTEGER DEFAULT 0,
+  lags INTEGER DEFAULT 0,
+  concurrent INTEGER DEFAULT 0,
+  lead_share DECIMAL(5,1),
+  weight DECIMAL(6,2),
+  computed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_bookmaker_prices_kickoff ON bookmaker_prices(kickoff);
+
+-- Enable Row Level Security (optional but recommended)
+ALTER TABLE bookmaker_prices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bookmaker_sharpness ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations (for development)
+CREATE POLICY "Allow all operations" ON bookmaker_prices FOR ALL USING (true);
+CREATE POLICY "Allow all operations" ON bookmaker_sharpness FOR ALL USING (true);
@@ -0,0 +1,36 @@
+-- Run this in Supabase SQL Editor: https://supabase.com/dashboard/project/wxtfyhmytbrzoegvwztd/sql
+-- The server seeds both tables with its built-in defaults on first start.
+
+-- Create config_leagues table (LSports league ID -> display + refresh config)
+CREATE TABLE IF NOT EXISTS config_leagues (
+  league_id INTEGER PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  country VARCHAR(100),
+  emoji VARCHAR(20),
+  tier INTEGER DEFAULT 1,
+  sport VARCHAR(50) NOT NULL DEFAULT 'football',
+  enabled BOOLEAN DEFAULT TRUE,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create config_markets table (LSports market ID per sport)
+CREATE TABLE IF NOT EXISTS config_markets (
+  sport VARCHAR(50) NOT NULL DEFAULT 'football',
+  market_id INTEGER NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  category VARCHAR(100) NOT NULL,
+  is_player_prop BOOLEAN DEFAULT FALSE,
+  player_lines BOOLEAN DEFAULT FALSE,
+  period INTEGER,
+  enabled BOOLEAN DEFAULT TRUE,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (sport, market_id)
+);
+
+-- Enable Row Level Security (optional but recommended)
+ALTER TABLE config_leagues ENABLE ROW LEVEL SECURITY;
+ALTER TABLE config_markets ENABLE ROW LEVEL SECURITY;
+
+-- Create policy to allow all operations (for development)
+CREATE POLICY "Allow all operations" ON config_leagues FOR ALL USING (true);
+CREATE POLICY "Allow all operations" ON config_markets FOR ALL USING (true);
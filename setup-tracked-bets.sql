@@ -18,16 +18,29 @@ CREATE TABLE IF NOT EXISTS tracked_bets (
   stake_units DECIMAL(6,2),
   stake_amount DECIMAL(10,2),
   bookmaker VARCHAR(100),
-  result VARCHAR(20) DEFAULT 'pending',
+  result VARCHAR(20) DEFAULT 'pending', -- pending, won, lost, half_won, half_lost, void, push
   profit DECIMAL(10,2) DEFAULT 0,
   placed_at TIMESTAMPTZ DEFAULT NOW(),
   settled_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Closing line columns (written by the server just before kickoff).
+-- Safe to re-run on an existing table.
+ALTER TABLE tracked_bets ADD COLUMN IF NOT EXISTS closing_fair_odds DECIMAL(6,3);
+ALTER TABLE tracked_bets ADD COLUMN IF NOT EXISTS closing_best_odds DECIMAL(6,3);
+ALTER TABLE tracked_bets ADD COLUMN IF NOT EXISTS closing_bookmaker VARCHAR(100);
+ALTER TABLE tracked_bets ADD COLUMN IF NOT EXISTS closing_captured_at TIMESTAMPTZ;
+
+-- Settlement columns (automatic settlement flags bets it can't settle for review)
+ALTER TABLE tracked_bets ADD COLUMN IF NOT EXISTS settled_by VARCHAR(20); -- auto, manual
+ALTER TABLE tracked_bets ADD COLUMN IF NOT EXISTS needs_review BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE tracked_bets ADD COLUMN IF NOT EXISTS review_reason TEXT;
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_tracked_bets_result ON tracked_bets(result);
 CREATE INDEX IF NOT EXISTS idx_tracked_bets_placed_at ON tracked_bets(placed_at);
+CREATE INDEX IF NOT EXISTS idx_tracked_bets_kickoff ON tracked_bets(kickoff);
 
 -- Enable Row Level Security (optional but recommended)
 ALTER TABLE tracked_bets ENABLE ROW LEVEL SECURITY;